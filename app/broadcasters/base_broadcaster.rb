@@ -100,6 +100,30 @@ class BaseBroadcaster
     )
   end
 
+  # Broadcast a custom stream action (config/initializers/turbo_stream_actions.rb)
+  #
+  #   broadcast_stream_action(stream, :vibrate, **TurboStreamActions.vibrate_attributes([200, 100, 200]))
+  def broadcast_stream_action(stream, action, target: nil, targets: nil, **attributes)
+    Turbo::StreamsChannel.broadcast_action_to(
+      stream,
+      action: action,
+      target: target,
+      targets: targets,
+      attributes: attributes
+    )
+  end
+
+  # Broadcast a toast notification (no part needed)
+  # Shown by every client subscribed to the stream (app/javascript/lib/toasts.js)
+  def broadcast_toast(stream, message, **options)
+    broadcast_stream_action(stream, :toast, **TurboStreamActions.toast_attributes(message, **options).symbolize_keys)
+  end
+
+  # Pulse an element that just changed (no part needed)
+  def broadcast_highlight(stream, target:)
+    broadcast_stream_action(stream, :highlight, target: target)
+  end
+
   # Broadcast remove (no part needed)
   def broadcast_remove(stream, target:)
     Turbo::StreamsChannel.broadcast_action_to(
@@ -13,7 +13,8 @@
 #
 class IncidentBroadcaster < BaseBroadcaster
   # Broadcast when a new incident is created
-  # Prepends to the incidents list for the race
+  # Prepends to the incidents list for the race (the list's stream-animation
+  # controller slides it in and pulses it)
   def created(incident)
     broadcast_prepend(
       stream_name(incident.race_id),
@@ -46,6 +47,7 @@ class IncidentBroadcaster < BaseBroadcaster
   end
 
   # Broadcast a status change (uses update for smoother transition)
+  # and pulse the card so officials notice it
   def status_changed(incident)
     broadcast_update(
       stream_name(incident.race_id),
@@ -54,6 +56,7 @@ class IncidentBroadcaster < BaseBroadcaster
       struct: incident,
       as: :incident
     )
+    broadcast_highlight(stream_name(incident.race_id), target: dom_id(incident))
   end
 
   private
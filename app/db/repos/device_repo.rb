@@ -0,0 +1,99 @@
+# frozen_string_literal: true
+
+# DeviceRepo - Repository for devices (browsers that identified themselves)
+#
+# Devices register themselves: the first request carrying an unknown device
+# UUID (X-Device-UUID header or device_uuid cookie) creates the row. Admins
+# name them and set their race location afterwards.
+#
+# There are only a handful of devices per event, so collections return full
+# structs rather than summaries.
+#
+# Example:
+#   repo = DeviceRepo.new
+#
+#   device = repo.record_seen("3f2b8c1e-...", user_agent: request.user_agent)  # => Structs::Device
+#   device = repo.find_by_uuid("3f2b8c1e-...")                                  # => Structs::Device or nil
+#   devices = repo.all                                                          # => [Structs::Device, ...]
+#   repo.assign(device.id, name: "Pi 2", location_name: "Start Gate 2")
+#   repo.location_names                                                         # => ["Finish", "Start Gate 2", ...]
+#
+class DeviceRepo < DB::Repo
+  self.record_class = Device
+  self.struct_class = Structs::Device
+
+  # last_seen_at is written at most this often per device, not on every request
+  SEEN_PRECISION = 1.minute
+
+  returns_one :find, :find!, :find_by_uuid, :record_seen, :assign
+  returns_many :all
+
+  # ===========================================================================
+  # SINGLE RECORD METHODS
+  # ===========================================================================
+
+  def find_by_uuid(device_uuid)
+    to_struct(base_scope.find_by(device_uuid: device_uuid))
+  end
+
+  # Register an unknown device, or refresh when a known one was last seen
+  def record_seen(device_uuid, user_agent: nil)
+    record = Device.find_or_create_by!(device_uuid: device_uuid) do |device|
+      device.user_agent = user_agent
+      device.last_seen_at = Time.current
+    end
+
+    if record.last_seen_at.nil? || record.last_seen_at < SEEN_PRECISION.ago || (user_agent.present? && record.user_agent != user_agent)
+      record.update_columns(last_seen_at: Time.current, user_agent: user_agent.presence || record.user_agent)
+    end
+
+    to_struct(record)
+  rescue ActiveRecord::RecordNotUnique
+    # Two first requests of the same device at once: the other one created it
+    find_by_uuid(device_uuid)
+  end
+
+  # Friendly name and race location, set by an admin
+  def assign(id, name:, location_name:)
+    update(id, name: name, location_name: location_name)
+  end
+
+  # ===========================================================================
+  # AGGREGATE METHODS
+  # ===========================================================================
+
+  # Location names to suggest when setting up a device
+  def location_names
+    (RaceTypeLocationTemplate.distinct.pluck(:name) + RaceLocation.distinct.pluck(:name))
+      .uniq
+      .sort
+  end
+
+  # ===========================================================================
+  # PROTECTED: Mapping methods
+  # ===========================================================================
+
+  protected
+
+  # Recently active devices first
+  def base_scope
+    Device.order(Arel.sql("last_seen_at DESC NULLS LAST"), :id)
+  end
+
+  def build_struct(record)
+    Structs::Device.new(
+      id: record.id,
+      device_uuid: record.device_uuid,
+      name: record.name,
+      location_name: record.location_name,
+      user_agent: record.user_agent,
+      last_seen_at: record.last_seen_at,
+      created_at: record.created_at,
+      updated_at: record.updated_at
+    )
+  end
+
+  def build_summary(record)
+    build_struct(record)
+  end
+end
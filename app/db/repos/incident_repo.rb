@@ -0,0 +1,54 @@
+# frozen_string_literal: true
+
+# IncidentRepo
+#
+# Repository for incidents. Every report opens its own incident; the race page
+# lists the most recent ones and receives new ones live (IncidentBroadcaster).
+#
+# Returns:
+# - Single records: Structs::Incident (full struct)
+# - Collections: Structs::Incident (full struct)
+#
+# Example:
+#   repo = IncidentRepo.new
+#   repo.find(12)              # => Structs::Incident or nil
+#   repo.recent_for_race(3)    # => [Structs::Incident, ...] newest first
+#
+class IncidentRepo < DB::Repo
+  self.record_class = Incident
+  self.struct_class = Structs::Incident
+
+  returns_one :find, :find!
+  returns_many :recent_for_race
+
+  # Newest incidents of a race, for the race page
+  def recent_for_race(race_id, limit: 20)
+    base_scope
+      .where(race_id: race_id)
+      .order(created_at: :desc, id: :desc)
+      .limit(limit)
+      .map { |record| build_struct(record) }
+  end
+
+  protected
+
+  def base_scope
+    Incident.includes(:race_location, :reports)
+  end
+
+  def build_struct(record)
+    Structs::Incident.new(
+      id: record.id,
+      race_id: record.race_id,
+      race_location_id: record.race_location_id,
+      location_name: record.race_location&.name,
+      status: record.status,
+      decision: record.decision,
+      description: record.description,
+      reports_count: record.reports_count,
+      bib_numbers: record.reports.map(&:bib_number),
+      created_at: record.created_at,
+      updated_at: record.updated_at
+    )
+  end
+end
@@ -0,0 +1,107 @@
+# frozen_string_literal: true
+
+# PushSubscriptionRepo - Repository for Web Push subscription data access (Hanami-style)
+#
+# A subscription is identified by its push service endpoint, which is unique
+# per browser profile. Re-subscribing the same browser (possibly as another
+# user) updates the existing row instead of creating a duplicate.
+#
+# Example:
+#   repo = PushSubscriptionRepo.new
+#
+#   subscription = repo.upsert_for_user(1, endpoint: "https://...", p256dh_key: "...", auth_key: "...")
+#   subscriptions = repo.for_user(user_id)            # => [PushSubscriptionStruct, ...]
+#   subscriptions = repo.for_role_names(%w[jury_president], include_admins: true)
+#   repo.delete_for_user(user_id, endpoint)           # => true/false
+#
+class PushSubscriptionRepo < DB::Repo
+  # Configure the repo
+  self.record_class = PushSubscription
+
+  # Document return types for reference
+  returns_one :find, :find!, :first, :last, :find_by, :create, :update, :upsert_for_user
+  returns_many :all, :where, :many, :for_user, :for_role_names
+
+  # ===========================================================================
+  # SINGLE RECORD METHODS
+  # ===========================================================================
+
+  # Create or refresh the subscription for an endpoint
+  def upsert_for_user(user_id, endpoint:, p256dh_key:, auth_key:, user_agent: nil)
+    record = PushSubscription.find_or_initialize_by(endpoint: endpoint)
+    record.update!(
+      user_id: user_id,
+      p256dh_key: p256dh_key,
+      auth_key: auth_key,
+      user_agent: user_agent
+    )
+    to_struct(record)
+  rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotUnique
+    nil
+  end
+
+  # ===========================================================================
+  # COLLECTION METHODS
+  # ===========================================================================
+
+  # Return all subscriptions for a user
+  def for_user(user_id)
+    base_scope
+      .where(user_id: user_id)
+      .map { |record| to_struct(record) }
+  end
+
+  # Return all subscriptions of users holding one of the given roles
+  # Used to reach jury presidents / VAR operators when an incident needs attention
+  def for_role_names(role_names, include_admins: false)
+    scope = base_scope.left_joins(user: :role)
+    condition = scope.where(roles: { name: Array(role_names) })
+    condition = condition.or(scope.where(users: { admin: true })) if include_admins
+
+    condition.map { |record| to_struct(record) }
+  end
+
+  # ===========================================================================
+  # DELETION METHODS
+  # ===========================================================================
+
+  # Delete a user's subscription (browser unsubscribed)
+  def delete_for_user(user_id, endpoint)
+    PushSubscription.where(user_id: user_id, endpoint: endpoint).delete_all.positive?
+  end
+
+  # Delete a subscription the push service reported as gone (404/410)
+  def delete_by_endpoint(endpoint)
+    PushSubscription.where(endpoint: endpoint).delete_all.positive?
+  end
+
+  # ===========================================================================
+  # PROTECTED: Mapping methods
+  # ===========================================================================
+
+  protected
+
+  # Default scope with ordering (most recent first)
+  def base_scope
+    PushSubscription.order(updated_at: :desc)
+  end
+
+  # Build a full struct from a PushSubscription record
+  def build_struct(record)
+    PushSubscriptionStruct.new(
+      id: record.id,
+      user_id: record.user_id,
+      endpoint: record.endpoint,
+      p256dh_key: record.p256dh_key,
+      auth_key: record.auth_key,
+      user_agent: record.user_agent,
+      created_at: record.created_at,
+      updated_at: record.updated_at
+    )
+  end
+
+  # Full struct for a push subscription
+  PushSubscriptionStruct = Data.define(
+    :id, :user_id, :endpoint, :p256dh_key, :auth_key, :user_agent, :created_at, :updated_at
+  )
+end
@@ -14,7 +14,7 @@
 #   )
 #
 class RaceParticipationRepo < DB::Repo
-    returns_one :find_by_bib, :find_by_athlete
+    returns_one :find_by_bib, :find_by_athlete, :find_in_race
     returns_many :for_race, :active, :by_status
 
     # Find participation by race and bib number
@@ -35,6 +35,15 @@ class RaceParticipationRepo < DB::Repo
       base_scope.find_by(race_id: race_id, athlete_id: athlete_id)
     end
 
+    # Find participation by ID within a race, with its athlete loaded
+    #
+    # @param race_id [Integer]
+    # @param id [Integer]
+    # @return [Structs::RaceParticipation, nil]
+    def find_in_race(race_id:, id:)
+      to_struct(base_scope.includes(:athlete).find_by(race_id: race_id, id: id))
+    end
+
     # Create race participation for import
     #
     # This method creates a new race participation and validates uniqueness.
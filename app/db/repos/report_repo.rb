@@ -0,0 +1,50 @@
+# frozen_string_literal: true
+
+# ReportRepo
+#
+# Repository for referee reports. Reports are looked up by the client_uuid the
+# device generated, which makes creation idempotent across offline replays.
+#
+# Returns:
+# - Single records: Structs::Report (full struct)
+#
+# Example:
+#   repo = ReportRepo.new
+#   report = repo.find_by_client_uuid("9b2f...")   # => Structs::Report or nil
+#
+class ReportRepo < DB::Repo
+  self.record_class = Report
+  self.struct_class = Structs::Report
+
+  returns_one :find, :find!, :find_by_client_uuid
+
+  # Find a report by the UUID generated on the reporting device
+  def find_by_client_uuid(client_uuid)
+    to_struct(base_scope.find_by(client_uuid: client_uuid))
+  end
+
+  protected
+
+  def base_scope
+    Report.all
+  end
+
+  def build_struct(record)
+    Structs::Report.new(
+      id: record.id,
+      client_uuid: record.client_uuid,
+      race_id: record.race_id,
+      incident_id: record.incident_id,
+      user_id: record.user_id,
+      race_location_id: record.race_location_id,
+      race_participation_id: record.race_participation_id,
+      athlete_id: record.athlete_id,
+      device_id: record.device_id,
+      bib_number: record.bib_number,
+      athlete_position: record.athlete_position,
+      description: record.description,
+      created_at: record.created_at,
+      updated_at: record.updated_at
+    )
+  end
+end
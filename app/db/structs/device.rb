@@ -0,0 +1,47 @@
+# frozen_string_literal: true
+
+module Structs
+  # Immutable representation of a Device (a browser that identified itself)
+  #
+  # Devices register themselves on their first request; an admin then gives
+  # them a friendly name and the race location they are set up at.
+  #
+  # Example:
+  #   device = device_repo.find_by_uuid("3f2b8c1e-...")
+  #   device.display_name # => "Pi 2" (or "Device 3f2b8c1e" before it is named)
+  #   device.label        # => "Pi 2 at Start Gate 2"
+  #
+  class Device < DB::Struct
+    attribute :id, Types::Integer
+    attribute :device_uuid, Types::UUID
+    attribute :name, Types::String.optional
+    attribute :location_name, Types::String.optional
+    attribute :user_agent, Types::String.optional
+    attribute :last_seen_at, Types::OptionalDateTime
+    attribute :created_at, Types::FlexibleDateTime
+    attribute :updated_at, Types::FlexibleDateTime
+
+    # @return [String]
+    def display_name
+      name.presence || "Device #{device_uuid.first(8)}"
+    end
+
+    # For attribution: "Pi 2 at Start Gate 2"
+    #
+    # @return [String]
+    def label
+      location_name.present? ? "#{display_name} at #{location_name}" : display_name
+    end
+
+    # Not yet set up by an admin
+    def unassigned?
+      name.blank? && location_name.blank?
+    end
+
+    # A Raspberry Pi kiosk (by its user agent)
+    def raspberry_pi?
+      ua = user_agent.to_s.downcase
+      ua.include?("raspberry") || ua.include?("rpi")
+    end
+  end
+end
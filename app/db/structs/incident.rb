@@ -0,0 +1,37 @@
+# frozen_string_literal: true
+
+module Structs
+  # Immutable representation of an Incident (one or more reports of the same
+  # event, with the unofficial → official lifecycle and the jury decision)
+  #
+  # Example:
+  #   incident = incident_repo.find(12)
+  #   incident.bib_display   # => "34, 35"
+  #   incident.official?     # => false
+  #
+  class Incident < DB::Struct
+    attribute :id, Types::Integer
+    attribute :race_id, Types::Integer
+    attribute :race_location_id, Types::Integer.optional
+    attribute :location_name, Types::String.optional
+    attribute :status, Types::String
+    attribute :decision, Types::String
+    attribute :description, Types::String.optional
+    attribute :reports_count, Types::Integer
+    attribute :bib_numbers, Types::Array.of(Types::Integer)
+    attribute :created_at, Types::FlexibleDateTime
+    attribute :updated_at, Types::FlexibleDateTime
+
+    # @return [Boolean]
+    def official?
+      status == "official"
+    end
+
+    # Reported bibs: "34" or "34, 35" once incidents are merged
+    #
+    # @return [String]
+    def bib_display
+      bib_numbers.uniq.join(", ")
+    end
+  end
+end
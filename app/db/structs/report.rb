@@ -0,0 +1,36 @@
+# frozen_string_literal: true
+
+module Structs
+  # Immutable representation of a Report (a single referee observation)
+  #
+  # Reports have no status of their own - every report belongs to an
+  # incident, which carries the unofficial/official lifecycle.
+  #
+  # Example:
+  #   report = report_repo.find_by_client_uuid("9b2f...")
+  #   report.bib_display # => "34"
+  #
+  class Report < DB::Struct
+    attribute :id, Types::Integer
+    attribute :client_uuid, Types::UUID
+    attribute :race_id, Types::Integer
+    attribute :incident_id, Types::Integer
+    attribute :user_id, Types::Integer
+    attribute :race_location_id, Types::Integer.optional
+    attribute :race_participation_id, Types::Integer.optional
+    attribute :athlete_id, Types::Integer.optional
+    attribute :device_id, Types::Integer.optional
+    attribute :bib_number, Types::BibNumber
+    attribute :athlete_position, Types::Integer.optional
+    attribute :description, Types::String.optional
+    attribute :created_at, Types::FlexibleDateTime
+    attribute :updated_at, Types::FlexibleDateTime
+
+    # For display: "12" or "12.1" for team races
+    #
+    # @return [String]
+    def bib_display
+      athlete_position ? "#{bib_number}.#{athlete_position}" : bib_number.to_s
+    end
+  end
+end
@@ -1,3 +1,43 @@
 // Configure your import map in config/importmap.rb. Read more: https://github.com/rails/importmap-rails
 import "@hotwired/turbo-rails"
 import "controllers"
+import { application } from "controllers/application"
+import { startOutbox } from "lib/outbox"
+import { startPendingDeletions } from "lib/pending_deletions"
+import { startConfirmDialog } from "lib/confirm_dialog"
+import { startToasts } from "lib/toasts"
+import { startStreamActions } from "lib/stream_actions"
+import { startRecentErrors } from "lib/recent_errors"
+import { startErrorReporter } from "lib/error_reporter"
+import { startDeviceIdentity } from "lib/device_identity"
+
+// Keep the last uncaught errors for the kiosk diagnostics panel (first, to catch the rest)
+startRecentErrors()
+
+// Send those errors (and Stimulus controller errors) to the server, queued while offline
+startErrorReporter(application)
+
+// X-Device-UUID header on Turbo and fetch requests (kiosk names: Admin → Devices)
+startDeviceIdentity()
+
+// Offline app shell, page caching and outbox Background Sync
+// (app/views/pwa/service-worker.js.erb - a module worker so it can import lib/outbox)
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("/service-worker.js", { scope: "/", type: "module" })
+    .catch(error => console.error("❌ Service worker registration failed:", error))
+}
+
+// Replay mutations queued while offline
+startOutbox()
+
+// Swipe deletions waiting out their undo window (committed across Turbo visits)
+startPendingDeletions()
+
+// data-turbo-confirm opens our dialog (touch or desktop) instead of window.confirm
+startConfirmDialog()
+
+// Toast stack: showToast(), the "toast:show" event and <turbo-stream action="toast">
+startToasts()
+
+// highlight, vibrate, play_sound, scroll_into_view, set_badge_count and redirect stream actions
+startStreamActions()
@@ -0,0 +1,231 @@
+// frozen_string_literal: true
+
+import { Controller } from "@hotwired/stimulus"
+import { Turbo, cable } from "@hotwired/turbo-rails"
+import { showToast } from "lib/toasts"
+import { isConfirmDialogOpen } from "lib/confirm_dialog"
+
+// Last stream message, server response or cable ping seen, kept across Turbo visits (the layout's
+// controller is rebuilt on every visit)
+let lastContactAt = Date.now()
+
+// Connects to data-controller="connection-status"
+//
+// Persistent banner when live updates are not arriving:
+// - The device is offline (online/offline events)
+// - A <turbo-cable-stream-source> on the page lost its subscription
+//   (the element drops its `connected` attribute)
+// - The cable is up but nothing (not even a ping) arrived for staleAfter ms
+//
+// The banner shows the time since last contact and a Reconnect button.
+// Problems shorter than `grace` ms (a Turbo visit resubscribing) are not shown.
+// After a drop, the page is refreshed so missed stream updates show up - or,
+// when the user is typing or confirming, a toast offers the refresh instead.
+//
+// Usage:
+//   <div data-controller="connection-status"></div>
+//
+// Events (dispatched on window):
+//   connection-status:reconnected - live updates are flowing again
+//
+export default class extends Controller {
+  static values = {
+    staleAfter: { type: Number, default: 20000 },
+    grace: { type: Number, default: 3000 }
+  }
+
+  connect() {
+    this.update = this.update.bind(this)
+    this.recordContact = this.recordContact.bind(this)
+    this.refresh = this.refresh.bind(this)
+
+    this.problemSince = null
+    this.wasDown = false
+    this.html = null
+
+    window.addEventListener("online", this.update)
+    window.addEventListener("offline", this.update)
+    window.addEventListener("connection-status:refresh", this.refresh)
+    document.addEventListener("turbo:before-stream-render", this.recordContact)
+    document.addEventListener("turbo:before-fetch-response", this.recordContact)
+
+    // Stream sources come and go with the page and toggle `connected`
+    this.observer = new MutationObserver(() => this.scheduleUpdate())
+    this.observer.observe(document.body, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      attributeFilter: ["connected"]
+    })
+
+    this.tick = setInterval(this.update, 1000)
+    this.update()
+  }
+
+  disconnect() {
+    window.removeEventListener("online", this.update)
+    window.removeEventListener("offline", this.update)
+    window.removeEventListener("connection-status:refresh", this.refresh)
+    document.removeEventListener("turbo:before-stream-render", this.recordContact)
+    document.removeEventListener("turbo:before-fetch-response", this.recordContact)
+    this.observer.disconnect()
+    clearInterval(this.tick)
+    cancelAnimationFrame(this.frame)
+  }
+
+  // Reopen the WebSocket (every stream source resubscribes on its own)
+  async reconnect() {
+    console.log("🔌 Reconnecting cable")
+
+    if (navigator.vibrate) {
+      navigator.vibrate(50)
+    }
+
+    const consumer = await this.consumer()
+    consumer?.connection.reopen()
+    this.update()
+  }
+
+  // Reload the page so streams missed while disconnected are caught up
+  refresh() {
+    Turbo.visit(window.location.href, { action: "replace" })
+  }
+
+  recordContact() {
+    lastContactAt = Date.now()
+  }
+
+  // Many DOM changes arrive at once (a stream render): check once per frame
+  scheduleUpdate() {
+    if (this.frame) return
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null
+      this.update()
+    })
+  }
+
+  update() {
+    if (!this.cachedConsumer && this.sources().length > 0) this.consumer()
+    this.readPing()
+
+    const state = this.currentState()
+
+    if (state === "ok") {
+      if (this.wasDown) this.reconnected()
+      this.problemSince = null
+      this.wasDown = false
+      this.render(null)
+      return
+    }
+
+    this.problemSince ??= Date.now()
+    const visible = state === "offline" || Date.now() - this.problemSince >= this.graceValue
+    if (visible) this.wasDown = true
+
+    this.render(visible ? state : null)
+  }
+
+  currentState() {
+    if (!navigator.onLine) return "offline"
+
+    const sources = this.sources()
+    if (sources.length === 0) return "ok"
+
+    if (sources.some(source => !source.hasAttribute("connected"))) return "disconnected"
+    if (Date.now() - lastContactAt > this.staleAfterValue) return "stale"
+    return "ok"
+  }
+
+  reconnected() {
+    console.log("🔌 Live updates restored")
+    window.dispatchEvent(new CustomEvent("connection-status:reconnected"))
+
+    // Nothing streamed on this page: nothing to catch up on
+    if (this.sources().length === 0) return
+
+    if (this.userIsBusy()) {
+      showToast({
+        message: "Connection restored - the page may be out of date",
+        type: "info",
+        duration: 0,
+        action: { label: "Refresh", event: "connection-status:refresh" }
+      })
+    } else {
+      this.refresh()
+    }
+  }
+
+  // Typing or confirming: a refresh would throw that away
+  userIsBusy() {
+    const active = document.activeElement
+    return isConfirmDialogOpen() ||
+           active?.matches?.("input:not([type=hidden]), textarea, select, [contenteditable]")
+  }
+
+  sources() {
+    return Array.from(document.querySelectorAll("turbo-cable-stream-source"))
+  }
+
+  // The cable pings every few seconds: that counts as contact too
+  // (ConnectionMonitor#pingedAt is already in milliseconds)
+  readPing() {
+    const pingedAt = this.cachedConsumer?.connection.monitor?.pingedAt
+    if (pingedAt) lastContactAt = Math.max(lastContactAt, pingedAt)
+  }
+
+  // Only ask for the consumer once streams exist: creating it opens a socket
+  async consumer() {
+    if (this.sources().length === 0) return null
+
+    this.cachedConsumer ??= await cable.getConsumer()
+    return this.cachedConsumer
+  }
+
+  render(state) {
+    const html = state ? this.bannerHtml(state) : ""
+    if (html === this.html) return
+
+    this.html = html
+    this.element.innerHTML = html
+  }
+
+  bannerHtml(state) {
+    const message = {
+      offline: "No network connection",
+      disconnected: "Live updates interrupted - reconnecting",
+      stale: "No live updates arriving"
+    }[state]
+    const tone = state === "offline" ? "bg-red-600 text-white" : "bg-yellow-400 text-gray-900"
+
+    return `
+      <div class="fixed top-0 inset-x-0 z-[70] ${tone} shadow-lg"
+           role="${state === "offline" ? "alert" : "status"}" aria-live="polite">
+        <div class="flex items-center gap-3 px-4 py-2">
+          <svg class="w-6 h-6 shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="M18.364 5.636a9 9 0 010 12.728M5.636 18.364a9 9 0 010-12.728M12 12h.01M3 3l18 18" />
+          </svg>
+          <span class="flex-1 min-w-0 text-base font-bold truncate">
+            ${message}
+            <span class="font-normal opacity-80"> · last contact ${this.sinceLastContact()}</span>
+          </span>
+          <button type="button"
+                  class="min-h-[44px] px-4 rounded-lg bg-white/90 active:bg-white text-gray-900 text-sm font-bold shrink-0"
+                  data-action="connection-status#reconnect">
+            Reconnect
+          </button>
+        </div>
+      </div>
+    `
+  }
+
+  sinceLastContact() {
+    const seconds = Math.max(0, Math.floor((Date.now() - lastContactAt) / 1000))
+    if (seconds < 60) return `${seconds}s ago`
+
+    const minutes = Math.floor(seconds / 60)
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s ago`
+
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m ago`
+  }
+}
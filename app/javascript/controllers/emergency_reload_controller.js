@@ -1,155 +1,338 @@
 import { Controller } from "@hotwired/stimulus"
+import { entries as outboxEntries } from "lib/outbox"
+import { recentErrors } from "lib/recent_errors"
+import { deviceId } from "lib/device_identity"
 
-// Emergency reload controller - allows reloading page if kiosk gets stuck
+const CORNERS = ["top-left", "top-right", "bottom-right", "bottom-left"]
+
+// Emergency diagnostics controller - recover a kiosk that got stuck
+//
+// Tap the screen corners in sequence (default: top-left, top-right,
+// bottom-right, bottom-left) within the timeout to open a diagnostics panel:
 //
-// Tap all 4 corners of the screen in sequence (top-left, top-right, bottom-right, bottom-left)
-// within 3 seconds to trigger a page reload
+// - App version, device name and id, network / live update connection, offline outbox
+// - Touch-mode cookie, screen size and pointer type
+// - Recent JavaScript errors (lib/recent_errors)
+//
+// and recovery actions: reload, clear caches and unregister the service
+// worker, reset touch mode, go home.
 //
 // Usage:
 //   <div data-controller="emergency-reload"></div>
 //
+//   <div data-controller="emergency-reload"
+//        data-emergency-reload-sequence-value='["top-left", "top-right", "top-left"]'
+//        data-emergency-reload-timeout-value="5000"
+//        data-emergency-reload-corner-size-value="120"></div>
+//
+// Values:
+//   sequence:    corners to tap, in order (top-left, top-right, bottom-right, bottom-left)
+//   timeout:     ms allowed between taps before the sequence resets (default: 3000)
+//   corner-size: px from the edges that count as a corner (default: 100)
+//
 export default class extends Controller {
+  static values = {
+    sequence: { type: Array, default: CORNERS },
+    timeout: { type: Number, default: 3000 },
+    cornerSize: { type: Number, default: 100 }
+  }
+
   connect() {
     this.cornerSequence = []
     this.sequenceTimeout = null
-    this.requiredCorners = ['top-left', 'top-right', 'bottom-right', 'bottom-left']
-    this.cornerSize = 100 // pixels from edge to count as corner
-    
-    this.handleTouch = this.handleTouch.bind(this)
-    document.addEventListener('touchstart', this.handleTouch, { passive: true })
-    
-    console.log("🚨 Emergency reload enabled: Tap all 4 corners in sequence to reload")
+    this.infoInterval = null
+
+    this.handlePointer = this.handlePointer.bind(this)
+    document.addEventListener("pointerdown", this.handlePointer, { passive: true, capture: true })
+
+    console.log(`🚨 Emergency diagnostics enabled: tap ${this.requiredCorners.join(" → ")}`)
   }
 
   disconnect() {
-    document.removeEventListener('touchstart', this.handleTouch)
-    if (this.sequenceTimeout) {
-      clearTimeout(this.sequenceTimeout)
-    }
+    document.removeEventListener("pointerdown", this.handlePointer, { capture: true })
+    clearTimeout(this.sequenceTimeout)
+    clearInterval(this.infoInterval)
   }
 
-  handleTouch(event) {
-    const touch = event.touches[0]
-    const corner = this.getCorner(touch.clientX, touch.clientY)
-    
+  get requiredCorners() {
+    const corners = this.sequenceValue.filter(corner => CORNERS.includes(corner))
+    return corners.length >= 2 ? corners : CORNERS
+  }
+
+  handlePointer(event) {
+    if (this.isOpen()) return
+
+    const corner = this.getCorner(event.clientX, event.clientY)
     if (!corner) return
-    
-    // Add to sequence
-    this.cornerSequence.push(corner)
-    
+
+    const expected = this.requiredCorners[this.cornerSequence.length]
+    if (corner === expected) {
+      this.cornerSequence.push(corner)
+    } else {
+      // A wrong corner starts over (it may be the first corner again)
+      this.cornerSequence = corner === this.requiredCorners[0] ? [corner] : []
+    }
+
     // Visual feedback
-    this.showFeedback(corner)
-    
-    // Check if sequence is complete
+    if (this.cornerSequence.length > 0) this.showFeedback(corner)
+
     if (this.cornerSequence.length === this.requiredCorners.length) {
-      if (this.isValidSequence()) {
-        this.triggerReload()
-      } else {
-        this.resetSequence()
-      }
-    }
-    
-    // Reset sequence after 3 seconds of inactivity
-    if (this.sequenceTimeout) {
-      clearTimeout(this.sequenceTimeout)
-    }
-    this.sequenceTimeout = setTimeout(() => {
       this.resetSequence()
-    }, 3000)
+      this.open()
+      return
+    }
+
+    // Reset sequence after a pause between taps
+    clearTimeout(this.sequenceTimeout)
+    this.sequenceTimeout = setTimeout(() => this.resetSequence(), this.timeoutValue)
   }
 
   getCorner(x, y) {
     const screenWidth = window.innerWidth
     const screenHeight = window.innerHeight
-    const size = this.cornerSize
-    
-    // Top-left
-    if (x < size && y < size) {
-      return 'top-left'
-    }
-    
-    // Top-right
-    if (x > screenWidth - size && y < size) {
-      return 'top-right'
-    }
-    
-    // Bottom-right
-    if (x > screenWidth - size && y > screenHeight - size) {
-      return 'bottom-right'
-    }
-    
-    // Bottom-left
-    if (x < size && y > screenHeight - size) {
-      return 'bottom-left'
-    }
-    
-    return null
-  }
+    const size = this.cornerSizeValue
 
-  isValidSequence() {
-    if (this.cornerSequence.length !== this.requiredCorners.length) {
-      return false
-    }
-    
-    for (let i = 0; i < this.requiredCorners.length; i++) {
-      if (this.cornerSequence[i] !== this.requiredCorners[i]) {
-        return false
-      }
-    }
-    
-    return true
+    const top = y < size
+    const bottom = y > screenHeight - size
+    const left = x < size
+    const right = x > screenWidth - size
+
+    if (top && left) return "top-left"
+    if (top && right) return "top-right"
+    if (bottom && right) return "bottom-right"
+    if (bottom && left) return "bottom-left"
+    return null
   }
 
   resetSequence() {
+    clearTimeout(this.sequenceTimeout)
+    if (this.cornerSequence.length > 0) console.log("🔄 Emergency sequence reset")
     this.cornerSequence = []
-    console.log("🔄 Emergency sequence reset")
   }
 
   showFeedback(corner) {
     console.log(`🎯 Corner tapped: ${corner} (${this.cornerSequence.length}/${this.requiredCorners.length})`)
-    
-    // Create visual feedback
-    const feedback = document.createElement('div')
-    feedback.className = 'emergency-feedback'
+
+    const size = this.cornerSizeValue
+    const [vertical, horizontal] = corner.split("-")
+
+    const feedback = document.createElement("div")
+    feedback.className = "emergency-feedback"
     feedback.style.cssText = `
       position: fixed;
-      width: ${this.cornerSize}px;
-      height: ${this.cornerSize}px;
+      ${vertical}: 0;
+      ${horizontal}: 0;
+      width: ${size}px;
+      height: ${size}px;
       background: rgba(239, 68, 68, 0.5);
       pointer-events: none;
       z-index: 9999;
       animation: emergencyPulse 0.3s ease-out;
     `
-    
-    // Position based on corner
-    switch(corner) {
-      case 'top-left':
-        feedback.style.top = '0'
-        feedback.style.left = '0'
-        break
-      case 'top-right':
-        feedback.style.top = '0'
-        feedback.style.right = '0'
-        break
-      case 'bottom-right':
-        feedback.style.bottom = '0'
-        feedback.style.right = '0'
-        break
-      case 'bottom-left':
-        feedback.style.bottom = '0'
-        feedback.style.left = '0'
-        break
-    }
-    
+
     document.body.appendChild(feedback)
     setTimeout(() => feedback.remove(), 300)
   }
 
-  triggerReload() {
+  // ========================================
+  // Diagnostics panel
+  // ========================================
+
+  isOpen() {
+    return this.element.childElementCount > 0
+  }
+
+  open() {
+    console.log("🚨 Emergency diagnostics opened")
+
+    if (navigator.vibrate) {
+      navigator.vibrate([100, 50, 100])
+    }
+
+    this.element.innerHTML = `
+      <div class="fixed inset-0 z-[10001] bg-gray-950/95 text-white overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="emergency-diagnostics-title">
+        <div class="max-w-3xl mx-auto p-6 space-y-6">
+          <div class="flex items-center justify-between gap-4">
+            <h2 id="emergency-diagnostics-title" class="text-3xl font-bold">Diagnostics</h2>
+            <button type="button"
+                    class="min-h-[64px] px-6 rounded-xl bg-white/10 active:bg-white/20 text-xl font-bold"
+                    data-action="emergency-reload#close">
+              Close
+            </button>
+          </div>
+
+          <dl class="grid grid-cols-[auto_1fr] gap-x-6 gap-y-2 text-lg bg-white/5 rounded-xl p-4" data-diagnostics-info></dl>
+
+          <div>
+            <h3 class="text-xl font-bold mb-2">Recent errors</h3>
+            <ul class="space-y-1 text-sm font-mono bg-white/5 rounded-xl p-4 max-h-64 overflow-y-auto" data-diagnostics-errors></ul>
+          </div>
+
+          <p class="text-lg text-yellow-300 min-h-[1.75rem]" role="status" data-diagnostics-status></p>
+
+          <div class="grid grid-cols-2 gap-3">
+            ${this.actionButton("reload", "Reload page", "bg-ismf-blue text-white")}
+            ${this.actionButton("goHome", "Go home", "bg-ismf-navy text-white border-2 border-white/20")}
+            ${this.actionButton("resetTouchMode", "Reset touch mode", "bg-yellow-400 text-gray-900")}
+            ${this.actionButton("clearCaches", "Clear caches &amp; service worker", "bg-red-600 text-white")}
+          </div>
+        </div>
+      </div>
+    `
+
+    this.renderInfo()
+    this.infoInterval = setInterval(() => this.renderInfo(), 1000)
+  }
+
+  close() {
+    clearInterval(this.infoInterval)
+    this.infoInterval = null
+    this.element.innerHTML = ""
+  }
+
+  actionButton(action, label, classes) {
+    return `
+      <button type="button"
+              class="min-h-[88px] px-4 rounded-xl text-xl font-bold active:opacity-80 ${classes}"
+              data-action="emergency-reload#${action}">
+        ${label}
+      </button>
+    `
+  }
+
+  async renderInfo() {
+    const info = this.element.querySelector("[data-diagnostics-info]")
+    const errorList = this.element.querySelector("[data-diagnostics-errors]")
+    if (!info) return
+
+    const rows = [
+      ["Version", document.querySelector('meta[name="app-version"]')?.content || "unknown"],
+      ["Device", this.deviceState()],
+      ["Network", navigator.onLine ? "online" : "OFFLINE"],
+      ["Live updates", this.cableState()],
+      ["Service worker", this.serviceWorkerState()],
+      ["Outbox", await this.outboxState()],
+      ["Touch cookie", this.touchCookieState()],
+      ["Screen", `${window.innerWidth}×${window.innerHeight} @${window.devicePixelRatio}x, ${window.matchMedia("(pointer: coarse)").matches ? "touch" : "mouse"}`],
+      ["Page", window.location.pathname + window.location.search]
+    ]
+
+    info.innerHTML = rows.map(([label, value]) => `
+      <dt class="text-gray-400">${label}</dt>
+      <dd class="font-bold break-all">${this.escapeHtml(value)}</dd>
+    `).join("")
+
+    const errors = recentErrors()
+    errorList.innerHTML = errors.length === 0
+      ? `<li class="text-gray-400">No errors since this page was loaded</li>`
+      : errors.map(error => `
+          <li>
+            <span class="text-gray-400">${new Date(error.at).toLocaleTimeString()}</span>
+            <span class="text-red-300">${this.escapeHtml(error.message)}</span>
+            ${error.source ? `<span class="text-gray-500">(${this.escapeHtml(error.source)})</span>` : ""}
+          </li>
+        `).join("")
+  }
+
+  deviceState() {
+    const label = document.querySelector('meta[name="device-label"]')?.content
+    return label ? `${label} (${deviceId()})` : deviceId()
+  }
+
+  cableState() {
+    const sources = Array.from(document.querySelectorAll("turbo-cable-stream-source"))
+    if (sources.length === 0) return "no streams on this page"
+
+    const connected = sources.filter(source => source.hasAttribute("connected")).length
+    return `${connected}/${sources.length} streams connected`
+  }
+
+  serviceWorkerState() {
+    if (!("serviceWorker" in navigator)) return "not supported"
+    return navigator.serviceWorker.controller ? `active (${navigator.serviceWorker.controller.state})` : "not controlling this page"
+  }
+
+  async outboxState() {
+    try {
+      const all = await outboxEntries()
+      const pending = all.filter(entry => entry.status === "pending").length
+      const failed = all.filter(entry => entry.status === "failed").length
+      return `${pending} pending, ${failed} failed`
+    } catch (error) {
+      return "unavailable"
+    }
+  }
+
+  touchCookieState() {
+    const value = this.cookie("touch_display")
+    if (value === null) return "not set"
+
+    return `${value} (${this.cookie("touch_display_source") || "server"})`
+  }
+
+  cookie(name) {
+    const match = document.cookie.split("; ").find(part => part.startsWith(`${name}=`))
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : null
+  }
+
+  setStatus(message) {
+    const status = this.element.querySelector("[data-diagnostics-status]")
+    if (status) status.textContent = message
+  }
+
+  // ========================================
+  // Recovery actions
+  // ========================================
+
+  reload() {
     console.log("🚨 EMERGENCY RELOAD TRIGGERED!")
-    
-    // Show fullscreen confirmation
-    const overlay = document.createElement('div')
+    this.showFullscreenMessage("RELOADING...")
+
+    // Reload after brief delay
+    setTimeout(() => {
+      window.location.reload()
+    }, 500)
+  }
+
+  // A full page load, not a Turbo visit: Turbo itself may be what is stuck
+  goHome() {
+    this.showFullscreenMessage("GOING HOME...")
+    window.location.href = "/"
+  }
+
+  // Forget the touch mode choice (manual or detected); touch_detection_controller detects the device again
+  resetTouchMode() {
+    document.cookie = "touch_display=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/"
+    document.cookie = "touch_display_source=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/"
+    this.showFullscreenMessage("RESETTING TOUCH MODE...")
+    window.location.href = "/"
+  }
+
+  // Drops the cached app shell and pages; the offline outbox (IndexedDB) is kept
+  async clearCaches() {
+    this.setStatus("Clearing caches…")
+
+    try {
+      if ("caches" in window) {
+        const names = await caches.keys()
+        await Promise.all(names.map(name => caches.delete(name)))
+      }
+
+      if ("serviceWorker" in navigator) {
+        const registrations = await navigator.serviceWorker.getRegistrations()
+        await Promise.all(registrations.map(registration => registration.unregister()))
+      }
+    } catch (error) {
+      console.error("❌ Clearing caches failed:", error)
+      this.setStatus(`Clearing caches failed: ${error.message}`)
+      return
+    }
+
+    this.reload()
+  }
+
+  showFullscreenMessage(message) {
+    const overlay = document.createElement("div")
     overlay.style.cssText = `
       position: fixed;
       top: 0;
@@ -160,20 +343,21 @@ export default class extends Controller {
       display: flex;
       align-items: center;
       justify-content: center;
-      z-index: 10000;
+      z-index: 10002;
       color: white;
       font-size: 3rem;
       font-weight: bold;
       text-align: center;
       padding: 2rem;
     `
-    overlay.textContent = 'RELOADING...'
+    overlay.textContent = message
     document.body.appendChild(overlay)
-    
-    // Reload after brief delay
-    setTimeout(() => {
-      window.location.reload()
-    }, 500)
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div")
+    div.textContent = text
+    return div.innerHTML
   }
 }
 
@@ -188,4 +372,4 @@ if (!document.getElementById('emergency-reload-styles')) {
     }
   `
   document.head.appendChild(style)
-}
\ No newline at end of file
+}
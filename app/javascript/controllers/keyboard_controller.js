@@ -1,8 +1,78 @@
 import { Controller } from "@hotwired/stimulus"
+import { reportError } from "lib/error_reporter"
+
+// Letter rows per keyboard locale (lowercase; shift layout is derived)
+const LOCALE_LETTER_ROWS = {
+  en: [
+    "1 2 3 4 5 6 7 8 9 0 {bksp}",
+    "q w e r t y u i o p @",
+    "a s d f g h j k l .",
+    "{shift} z x c v b n m - _"
+  ],
+  de: [
+    "1 2 3 4 5 6 7 8 9 0 ß {bksp}",
+    "q w e r t z u i o p ü @",
+    "a s d f g h j k l ö ä .",
+    "{shift} y x c v b n m - _"
+  ],
+  fr: [
+    "1 2 3 4 5 6 7 8 9 0 {bksp}",
+    "a z e r t y u i o p @",
+    "q s d f g h j k l m .",
+    "{shift} w x c v b n é è ç à -"
+  ],
+  it: [
+    "1 2 3 4 5 6 7 8 9 0 {bksp}",
+    "q w e r t y u i o p è @",
+    "a s d f g h j k l ò à .",
+    "{shift} z x c v b n m ù ì -"
+  ]
+}
+
+// Alternate characters shown on long-press (lowercase; uppercased for shift)
+const ALTERNATES = {
+  a: ["à", "á", "â", "ä", "å", "ã", "ą", "æ"],
+  c: ["ç", "č", "ć"],
+  d: ["ď", "đ"],
+  e: ["é", "è", "ê", "ë", "ě", "ę", "ė"],
+  g: ["ğ"],
+  i: ["í", "ì", "î", "ï", "ı"],
+  l: ["ł", "ľ", "ĺ"],
+  n: ["ñ", "ň", "ń"],
+  o: ["ó", "ò", "ô", "ö", "õ", "ø", "ő", "œ"],
+  r: ["ř", "ŕ"],
+  s: ["ß", "š", "ś", "ş"],
+  t: ["ť", "ţ"],
+  u: ["ú", "ù", "û", "ü", "ů", "ű"],
+  y: ["ý", "ÿ"],
+  z: ["ž", "ź", "ż"],
+  "-": ["–", "'"]
+}
+
+// Pixels a finger may drift while holding a key before the long press is dropped
+const LONG_PRESS_MOVE_TOLERANCE = 12
+
+const LOCALE_STORAGE_KEY = "keyboard_locale"
 
 // Keyboard controller for virtual on-screen keyboard
 // Uses simple-keyboard library for touch-optimized input
+//
+// Locale is picked from (in order):
+//   1. User setting saved by the 🌐 key (localStorage "keyboard_locale")
+//   2. data-keyboard-locale-value on the keyboard element
+//   3. <html lang="...">
+//
+// Long-press a letter to show accented alternates (é, ü, ø, ß, č, ñ...)
+//
+// Editing happens at the real input's caret/selection (◀ ▶ move the caret),
+// so taps into the middle of a word, autofill, a physical keyboard or a
+// Turbo morph never get overwritten by a stale keyboard buffer.
 export default class extends Controller {
+  static values = {
+    locale: String,
+    longPressDelay: { type: Number, default: 450 }
+  }
+
   connect() {
     console.log("🎹 Keyboard controller connected")
     
@@ -11,6 +81,13 @@ export default class extends Controller {
     this.audioContext = null
     this.audioResumed = false
     this.hideTimeout = null
+    this.layoutName = "default"
+    this.shiftMode = "off"
+    this.locale = this.resolveLocale()
+    this.longPressTimer = null
+    this.alternatesPopup = null
+    this.shadowValue = null
+    this.shadowCaret = 0
     
     // Ensure keyboard starts hidden
     this.forceHideKeyboard()
@@ -33,6 +110,7 @@ export default class extends Controller {
     
     // Force hide keyboard immediately
     this.forceHideKeyboard()
+    this.hideAlternates()
     
     // Cleanup keyboard instance
     if (this.keyboard) {
@@ -74,26 +152,25 @@ export default class extends Controller {
       console.log("✅ Keyboard loaded")
     } catch (error) {
       console.error("❌ Failed to load keyboard:", error)
+      reportError(error, { controller: "keyboard" })
     }
   }
 
   initKeyboard(Keyboard) {
+    // No onChange - edits are applied to the real input in handleKeyPress
     this.keyboard = new Keyboard(this.element, {
-      onChange: input => this.handleChange(input),
       onKeyPress: button => this.handleKeyPress(button),
       layout: this.getLayout(),
+      layoutName: "default",
       theme: "simple-keyboard",
-      display: {
-        "{bksp}": "⌫",
-        "{hide}": "↵ Enter",
-        "{enter}": "✕ Hide",
-        "{space}": " ",
-        "{preview}": ""
-      },
+      display: this.getDisplay(),
       mergeDisplay: true,
       useTouchEvents: true,
       stopMouseDownPropagation: true,
-      useButtonTag: true
+      useButtonTag: true,
+      // A held key opens its alternates popup (handleLongPressStart); the
+      // built-in repeat would keep typing the base key and close the popup
+      disableButtonHold: true
     })
     
     // Hide keyboard initially
@@ -104,18 +181,188 @@ export default class extends Controller {
     this.setupPreviewDisplay()
   }
 
+  getDisplay() {
+    return {
+      "{bksp}": "⌫",
+      "{hide}": "↵ Enter",
+      "{enter}": "✕ Hide",
+      "{space}": " ",
+      "{preview}": "",
+      "{shift}": "⇧",
+      "{symbols}": "#+=",
+      "{numeric}": "123",
+      "{abc}": "ABC",
+      "{arrowleft}": "◀",
+      "{arrowright}": "▶",
+      "{lang}": `🌐 ${this.locale.toUpperCase()}`
+    }
+  }
+
+  // Available layouts:
+  //   default - lowercase letters for the current locale
+  //   shift   - uppercase letters (one-shot, tap ⇧ twice for caps lock)
+  //   symbols - punctuation and special characters
+  //   numeric - large keypad for bib numbers and times
+  //   number  - numeric keypad without ":" and "-", for type="number" inputs
   getLayout() {
+    const letterRows = LOCALE_LETTER_ROWS[this.locale] || LOCALE_LETTER_ROWS.en
+    const bottomRow = "{symbols} {lang} {arrowleft} {preview} {arrowright} {space} {hide} {enter}"
+
     return {
-      default: [
+      default: [...letterRows, bottomRow],
+      shift: [...letterRows.map(row => this.shiftRow(row)), bottomRow],
+      symbols: [
         "1 2 3 4 5 6 7 8 9 0 {bksp}",
-        "q w e r t y u i o p @",
-        "a s d f g h j k l .",
-        "z x c v b n m - _",
-        "{preview} {space} {hide} {enter}"
+        "! @ # $ % & * ( ) / ?",
+        "+ = : ; ' \" , . < >",
+        "{numeric} [ ] ~ ^ \\ | _ -",
+        "{abc} {arrowleft} {preview} {arrowright} {space} {hide} {enter}"
+      ],
+      numeric: [
+        "1 2 3 {bksp}",
+        "4 5 6 :",
+        "7 8 9 -",
+        "{abc} 0 . {symbols}",
+        "{arrowleft} {preview} {arrowright} {hide} {enter}"
+      ],
+      // type="number" drops anything but digits and "." from its value
+      number: [
+        "1 2 3 {bksp}",
+        "4 5 6 .",
+        "7 8 9 0",
+        "{arrowleft} {preview} {arrowright} {hide} {enter}"
       ]
     }
   }
 
+  // Uppercase the character keys of a row, leaving {special} keys alone
+  shiftRow(row) {
+    return row.split(" ").map(key => this.shiftKey(key)).join(" ")
+  }
+
+  shiftKey(key) {
+    // ß uppercases to "SS", keep it as a single key
+    if (key.startsWith("{") || key === "ß") return key
+    return key.toUpperCase()
+  }
+
+  // Locale: saved user setting → element value → page lang → English
+  resolveLocale() {
+    const candidates = [
+      this.readStoredLocale(),
+      this.hasLocaleValue ? this.localeValue : null,
+      document.documentElement.lang
+    ]
+
+    for (const candidate of candidates) {
+      const locale = candidate?.toLowerCase().split("-")[0]
+      if (locale && LOCALE_LETTER_ROWS[locale]) return locale
+    }
+
+    return "en"
+  }
+
+  readStoredLocale() {
+    try {
+      return localStorage.getItem(LOCALE_STORAGE_KEY)
+    } catch (e) {
+      return null
+    }
+  }
+
+  // Cycle through available locales and remember the choice
+  cycleLocale() {
+    const locales = Object.keys(LOCALE_LETTER_ROWS)
+    this.locale = locales[(locales.indexOf(this.locale) + 1) % locales.length]
+
+    try {
+      localStorage.setItem(LOCALE_STORAGE_KEY, this.locale)
+    } catch (e) {
+      // Storage unavailable (private mode) - keep choice for this page only
+    }
+
+    console.log(`🌐 Keyboard locale: ${this.locale}`)
+    this.keyboard.setOptions({ layout: this.getLayout(), display: this.getDisplay() })
+    this.shiftMode = "off"
+    this.setLayout("default")
+  }
+
+  // Pick the layout for an input, in order of precedence:
+  //   1. data-keyboard-layout="numeric|number|symbols|shift|default"
+  //   2. type="number" (keypad without ":" and "-")
+  //   3. inputmode="numeric|decimal|tel"
+  //   4. type="tel"
+  resolveLayoutName(input) {
+    const requested = input.dataset.keyboardLayout
+    if (requested && this.getLayout()[requested]) {
+      return requested
+    }
+
+    if (input.type === "number") {
+      return "number"
+    }
+
+    const inputMode = input.getAttribute("inputmode")
+    if (["numeric", "decimal", "tel"].includes(inputMode)) {
+      return "numeric"
+    }
+
+    if (input.type === "tel") {
+      return "numeric"
+    }
+
+    return "default"
+  }
+
+  setLayout(layoutName) {
+    if (!this.keyboard) return
+
+    this.layoutName = layoutName
+    this.keyboard.setOptions({ layoutName })
+
+    // Numeric keypad uses larger, narrower keys
+    this.element.classList.toggle("keyboard-numeric", ["numeric", "number"].includes(layoutName))
+
+    // Highlight shift key while shift or caps lock is active
+    this.keyboard.removeButtonTheme("{shift}", "hg-shift-active hg-caps-lock")
+    if (this.shiftMode === "once") {
+      this.keyboard.addButtonTheme("{shift}", "hg-shift-active")
+    } else if (this.shiftMode === "locked") {
+      this.keyboard.addButtonTheme("{shift}", "hg-shift-active hg-caps-lock")
+    }
+
+    // Buttons are re-rendered on layout change, so restore the preview
+    this.setupPreviewDisplay()
+    this.updatePreview()
+  }
+
+  handleLayoutKey(button) {
+    switch (button) {
+      case "{shift}":
+        // off → once → locked → off
+        this.shiftMode = { off: "once", once: "locked", locked: "off" }[this.shiftMode]
+        this.setLayout(this.shiftMode === "off" ? "default" : "shift")
+        return true
+      case "{symbols}":
+        this.shiftMode = "off"
+        this.setLayout("symbols")
+        return true
+      case "{numeric}":
+        this.shiftMode = "off"
+        this.setLayout(this.currentInput?.type === "number" ? "number" : "numeric")
+        return true
+      case "{abc}":
+        this.shiftMode = "off"
+        this.setLayout("default")
+        return true
+      case "{lang}":
+        this.cycleLocale()
+        return true
+      default:
+        return false
+    }
+  }
+
   setupPreviewDisplay() {
     // Use requestAnimationFrame for better performance than setTimeout
     requestAnimationFrame(() => {
@@ -133,14 +380,35 @@ export default class extends Controller {
     this.preventNativeKeyboard = this.preventNativeKeyboard.bind(this)
     this.handleFocusIn = this.handleFocusIn.bind(this)
     this.handleFocusOut = this.handleFocusOut.bind(this)
+    this.handleLongPressStart = this.handleLongPressStart.bind(this)
+    this.cancelLongPress = this.cancelLongPress.bind(this)
+    this.handleLongPressMove = this.handleLongPressMove.bind(this)
+    this.handleExternalInput = this.handleExternalInput.bind(this)
+    this.handleSelectionChange = this.handleSelectionChange.bind(this)
     
     // Add event listeners
     document.addEventListener("focus", this.preventNativeKeyboard, true)
     document.addEventListener("focusin", this.handleFocusIn, { passive: true })
     document.addEventListener("focusout", this.handleFocusOut, { passive: true })
+
+    // Keep preview in sync with edits from other sources
+    document.addEventListener("input", this.handleExternalInput, { passive: true })
+    document.addEventListener("selectionchange", this.handleSelectionChange)
+
+    // Long-press detection for alternate characters
+    this.element.addEventListener("pointerdown", this.handleLongPressStart)
+    this.element.addEventListener("pointerup", this.cancelLongPress)
+    this.element.addEventListener("pointercancel", this.cancelLongPress)
+    this.element.addEventListener("pointermove", this.handleLongPressMove, { passive: true })
   }
 
   removeEventListeners() {
+    this.element.removeEventListener("pointerdown", this.handleLongPressStart)
+    this.element.removeEventListener("pointerup", this.cancelLongPress)
+    this.element.removeEventListener("pointercancel", this.cancelLongPress)
+    this.element.removeEventListener("pointermove", this.handleLongPressMove)
+    document.removeEventListener("input", this.handleExternalInput)
+    document.removeEventListener("selectionchange", this.handleSelectionChange)
     document.removeEventListener("focusin", this.handleFocusIn)
     document.removeEventListener("focusout", this.handleFocusOut)
     document.removeEventListener("focus", this.preventNativeKeyboard, true)
@@ -184,7 +452,10 @@ export default class extends Controller {
   }
 
   isTextInput(element) {
-    return element.matches('input[type="text"], input[type="email"], input[type="password"], textarea')
+    return element.matches(
+      'input:not([type]), input[type="text"], input[type="email"], input[type="password"], ' +
+      'input[type="number"], input[type="tel"], input[type="search"], input[type="url"], textarea'
+    )
   }
 
   showKeyboard(input) {
@@ -197,55 +468,216 @@ export default class extends Controller {
     this.element.style.display = "block"
     this.element.style.visibility = "visible"
     
-    // Set keyboard value to current input value
-    this.keyboard.setInput(input.value)
-    this.updatePreview(input.value)
+    // Inputs without selection support (number, email) edit at the end
+    this.shadowValue = null
+    this.shadowCaret = input.value.length
+
+    // Switch to the layout this input asks for
+    this.shiftMode = "off"
+    this.setLayout(this.resolveLayoutName(input))
   }
 
   hideKeyboard() {
     this.forceHideKeyboard()
+    this.hideAlternates()
     
     // Reset to default layout
-    if (this.keyboard) {
-      this.keyboard.setOptions({ layoutName: "default" })
+    this.shiftMode = "off"
+    this.setLayout("default")
+  }
+
+  // ========================================
+  // Caret-aware editing
+  // ========================================
+
+  // number and email inputs throw/return null for selectionStart
+  supportsSelection(input) {
+    return input.tagName === "TEXTAREA" ||
+      ["text", "search", "url", "tel", "password"].includes(input.type)
+  }
+
+  // Current value and selection of the focused input
+  getEditState() {
+    const input = this.currentInput
+
+    if (this.supportsSelection(input)) {
+      return {
+        value: input.value,
+        start: input.selectionStart ?? input.value.length,
+        end: input.selectionEnd ?? input.value.length
+      }
     }
+
+    // Browser may sanitize partial values ("1." in a number field), keep our own copy
+    const value = this.shadowValue ?? input.value
+    const caret = Math.min(this.shadowCaret, value.length)
+    return { value, start: caret, end: caret }
   }
 
-  handleChange(input) {
-    if (!this.currentInput) return
-    
-    this.currentInput.value = input
-    this.currentInput.dispatchEvent(new Event("input", { bubbles: true }))
-    this.updatePreview(input)
+  applyEdit(value, caret) {
+    const input = this.currentInput
+
+    this.applyingEdit = true
+    input.value = value
+
+    if (this.supportsSelection(input)) {
+      input.setSelectionRange(caret, caret)
+    } else {
+      this.shadowValue = value
+      this.shadowCaret = caret
+    }
+
+    input.dispatchEvent(new Event("input", { bubbles: true }))
+    this.applyingEdit = false
+
+    this.updatePreview()
+  }
+
+  insertText(text) {
+    const { value, start, end } = this.getEditState()
+    this.applyEdit(value.slice(0, start) + text + value.slice(end), start + text.length)
   }
 
-  updatePreview(value) {
+  deleteBackward() {
+    const { value, start, end } = this.getEditState()
+
+    if (start !== end) {
+      this.applyEdit(value.slice(0, start) + value.slice(end), start)
+    } else if (start > 0) {
+      this.applyEdit(value.slice(0, start - 1) + value.slice(start), start - 1)
+    }
+  }
+
+  moveCaret(delta) {
+    const { value, start, end } = this.getEditState()
+
+    // With a selection, the first arrow press collapses it to that side
+    let caret
+    if (start !== end) {
+      caret = delta < 0 ? start : end
+    } else {
+      caret = Math.min(Math.max(0, start + delta), value.length)
+    }
+
+    if (this.supportsSelection(this.currentInput)) {
+      this.currentInput.setSelectionRange(caret, caret)
+    } else {
+      this.shadowCaret = caret
+    }
+
+    this.updatePreview()
+  }
+
+  // Value changed through another path (physical keyboard, autofill, script)
+  handleExternalInput(event) {
+    if (this.applyingEdit || event.target !== this.currentInput) return
+
+    this.shadowValue = null
+    this.shadowCaret = this.currentInput.value.length
+    this.updatePreview()
+  }
+
+  handleSelectionChange() {
+    if (!this.currentInput || document.activeElement !== this.currentInput) return
+    this.updatePreview()
+  }
+
+  // The input may have been replaced by a Turbo morph or stream since focus
+  syncCurrentInput() {
+    if (!this.currentInput) return false
+    if (this.currentInput.isConnected) return true
+
+    const replacement = this.currentInput.id && document.getElementById(this.currentInput.id)
+    if (replacement && this.isTextInput(replacement)) {
+      console.log("🔁 Keyboard input replaced, re-attaching")
+      this.currentInput = replacement
+      this.shadowValue = null
+      this.shadowCaret = replacement.value.length
+      return true
+    }
+
+    this.hideKeyboard()
+    return false
+  }
+
+  updatePreview() {
     const previewBtn = this.element.querySelector('[data-skbtn="{preview}"]')
     if (!previewBtn) return
+
+    if (!this.currentInput) {
+      previewBtn.textContent = " "
+      return
+    }
+
+    const { value, start } = this.getEditState()
     
     // Show masked or actual value
     let displayValue = value
-    if (this.currentInput?.type === 'password') {
+    if (this.currentInput.type === 'password') {
       displayValue = '•'.repeat(value.length)
     }
+
+    // Mark caret position
+    let before = displayValue.slice(0, start)
+    let after = displayValue.slice(start)
     
-    // Truncate if too long
-    if (displayValue.length > 30) {
-      displayValue = '...' + displayValue.slice(-27)
+    // Truncate if too long, keeping the caret visible
+    if (before.length > 20) {
+      before = '...' + before.slice(-17)
+    }
+    if (before.length + after.length > 30) {
+      after = after.slice(0, 27 - before.length) + '...'
     }
     
-    previewBtn.textContent = displayValue || ' '
+    previewBtn.textContent = `${before}▏${after}`
   }
 
   handleKeyPress(button) {
     // Play audio feedback
     this.playBeep()
     
-    // Handle special keys (positions swapped in layout)
-    if (button === "{hide}") {
-      this.handleEnter()
-    } else if (button === "{enter}") {
-      this.handleHide()
+    // Any key press closes an open alternates popup. The long-press timer keeps
+    // running: with touch events the key press fires on touchstart, right
+    // after the pointerdown that started it
+    this.closeAlternatesPopup()
+
+    // Layout switching keys
+    if (this.handleLayoutKey(button)) return
+
+    if (!this.syncCurrentInput()) return
+
+    // One-shot shift returns to lowercase after a character
+    if (this.shiftMode === "once" && !button.startsWith("{")) {
+      this.shiftMode = "off"
+      requestAnimationFrame(() => this.setLayout("default"))
+    }
+
+    // Handle special keys (positions of {hide}/{enter} swapped in layout)
+    switch (button) {
+      case "{bksp}":
+        this.deleteBackward()
+        break
+      case "{space}":
+        this.insertText(" ")
+        break
+      case "{arrowleft}":
+        this.moveCaret(-1)
+        break
+      case "{arrowright}":
+        this.moveCaret(1)
+        break
+      case "{hide}":
+        this.handleEnter()
+        break
+      case "{enter}":
+        this.handleHide()
+        break
+      case "{preview}":
+        break
+      default:
+        if (!button.startsWith("{")) {
+          this.insertText(button)
+        }
     }
   }
 
@@ -253,9 +685,8 @@ export default class extends Controller {
     if (!this.currentInput) return
     
     if (this.currentInput.tagName === "TEXTAREA") {
-      // Add newline in textarea
-      const currentValue = this.keyboard.getInput()
-      this.keyboard.setInput(currentValue + "\n")
+      // Add newline in textarea at the caret
+      this.insertText("\n")
     } else {
       // Submit form
       const form = this.currentInput.closest("form")
@@ -266,6 +697,122 @@ export default class extends Controller {
     }
   }
 
+  // ========================================
+  // Long-press alternates
+  // ========================================
+
+  alternatesFor(key) {
+    const alternates = ALTERNATES[key.toLowerCase()]
+    if (!alternates) return null
+
+    const isUpper = key !== key.toLowerCase()
+    return isUpper ? alternates.map(char => this.shiftKey(char)) : alternates
+  }
+
+  handleLongPressStart(event) {
+    const button = event.target.closest("[data-skbtn]")
+    if (!button || button.closest(".keyboard-alternates")) return
+
+    const key = button.dataset.skbtn
+    const alternates = this.alternatesFor(key)
+    if (!alternates) return
+
+    // Capture position now - one-shot shift re-renders the buttons
+    const rect = button.getBoundingClientRect()
+
+    this.cancelLongPress()
+    this.longPressOrigin = { x: event.clientX, y: event.clientY }
+    this.longPressTimer = setTimeout(() => {
+      this.longPressTimer = null
+      this.showAlternates(key, alternates, rect)
+    }, this.longPressDelayValue)
+  }
+
+  cancelLongPress() {
+    if (this.longPressTimer) {
+      clearTimeout(this.longPressTimer)
+      this.longPressTimer = null
+    }
+  }
+
+  // A finger sliding off the key is not a long press (small jitter is)
+  handleLongPressMove(event) {
+    if (!this.longPressTimer) return
+
+    const dx = event.clientX - this.longPressOrigin.x
+    const dy = event.clientY - this.longPressOrigin.y
+    if (Math.hypot(dx, dy) > LONG_PRESS_MOVE_TOLERANCE) {
+      this.cancelLongPress()
+    }
+  }
+
+  showAlternates(key, alternates, rect) {
+    this.hideAlternates()
+
+    if (navigator.vibrate) {
+      navigator.vibrate(20)
+    }
+
+    const popup = document.createElement("div")
+    popup.className = "keyboard-alternates"
+
+    alternates.forEach(char => {
+      const option = document.createElement("button")
+      option.type = "button"
+      option.className = "keyboard-alternate"
+      option.textContent = char
+      option.addEventListener("pointerdown", (e) => {
+        // Keep focus on the input
+        e.preventDefault()
+        e.stopPropagation()
+        this.replaceTypedKey(key, char)
+        this.hideAlternates()
+      })
+      popup.appendChild(option)
+    })
+
+    this.element.appendChild(popup)
+
+    // Position above the pressed key, kept inside the keyboard
+    const containerRect = this.element.getBoundingClientRect()
+    const left = Math.min(
+      Math.max(0, rect.left - containerRect.left),
+      containerRect.width - popup.offsetWidth
+    )
+    popup.style.left = `${left}px`
+    popup.style.top = `${rect.top - containerRect.top - popup.offsetHeight - 8}px`
+
+    this.alternatesPopup = popup
+  }
+
+  hideAlternates() {
+    this.cancelLongPress()
+    this.closeAlternatesPopup()
+  }
+
+  closeAlternatesPopup() {
+    if (this.alternatesPopup) {
+      this.alternatesPopup.remove()
+      this.alternatesPopup = null
+    }
+  }
+
+  // The base key was already typed on press - swap it for the alternate
+  replaceTypedKey(key, char) {
+    if (!this.syncCurrentInput()) return
+
+    this.playBeep()
+
+    const { value, start, end } = this.getEditState()
+    const typedStart = start - key.length
+
+    if (start === end && typedStart >= 0 && value.slice(typedStart, start) === key) {
+      this.applyEdit(value.slice(0, typedStart) + char + value.slice(start), typedStart + char.length)
+    } else {
+      this.insertText(char)
+    }
+  }
+
   handleHide() {
     // Blur current input
     this.currentInput?.blur()
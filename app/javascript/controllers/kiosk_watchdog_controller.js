@@ -0,0 +1,260 @@
+// frozen_string_literal: true
+
+import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { isConfirmDialogOpen } from "lib/confirm_dialog"
+
+// Watchdog reloads, kept per tab so a page that crashes on load cannot reload forever
+const RELOADS_KEY = "kiosk-watchdog:reloads"
+const MAX_RELOADS = 3
+const RELOAD_WINDOW = 10 * 60 * 1000
+
+// Errors recorded by lib/recent_errors, kept across Turbo visits (the layout's
+// controller is rebuilt on every visit)
+let errorTimes = []
+
+// Connects to data-controller="kiosk-watchdog"
+//
+// Keeps shared race-location kiosks usable when nobody is looking after them:
+//
+// - Idle timeout: after `timeout` ms without a touch or key press, a countdown
+//   offers to stay; when it runs out the kiosk goes back to the home screen,
+//   dropping half-filled forms, open dialogs and the on-screen keyboard.
+// - Stuck main thread: the page beats to the service worker every second
+//   while visible; when it stays silent for `stallAfter` ms the service
+//   worker reloads it (a frozen page cannot run a timer to notice). Needs a
+//   controlling service worker; without one only the other checks run.
+// - Error storm: `errorLimit` uncaught errors within `errorWindow` ms reload
+//   the page too.
+//
+// Watchdog reloads are capped (3 per 10 minutes per tab, and per page in the
+// service worker); after that the screen is left alone and the emergency
+// corner gesture is the way out.
+//
+// Usage:
+//   <div data-controller="kiosk-watchdog"></div>
+//
+//   <div data-controller="kiosk-watchdog"
+//        data-kiosk-watchdog-timeout-value="300000"
+//        data-kiosk-watchdog-countdown-value="15"
+//        data-kiosk-watchdog-home-value="/"></div>
+//
+// Values:
+//   timeout:      ms of inactivity before the countdown (default: 180000)
+//   countdown:    seconds shown before going home (default: 10)
+//   home:         path of the home screen (default: "/")
+//   stall-after:  ms the page may stay unresponsive before reloading (default: 15000)
+//   error-limit:  uncaught errors that trigger a reload... (default: 5)
+//   error-window: ...within this many ms (default: 60000)
+//
+export default class extends Controller {
+  static values = {
+    timeout: { type: Number, default: 180000 },
+    countdown: { type: Number, default: 10 },
+    home: { type: String, default: "/" },
+    stallAfter: { type: Number, default: 15000 },
+    errorLimit: { type: Number, default: 5 },
+    errorWindow: { type: Number, default: 60000 }
+  }
+
+  connect() {
+    this.recordActivity = this.recordActivity.bind(this)
+    this.recordError = this.recordError.bind(this)
+    this.heartbeat = this.heartbeat.bind(this)
+    this.visibilityChanged = this.visibilityChanged.bind(this)
+
+    this.countdownTimer = null
+    this.remaining = 0
+
+    const activityEvents = ["pointerdown", "keydown", "wheel", "touchmove"]
+    activityEvents.forEach(type => document.addEventListener(type, this.recordActivity, { passive: true, capture: true }))
+    this.activityEvents = activityEvents
+
+    window.addEventListener("recent-errors:changed", this.recordError)
+
+    // Timers are throttled in hidden tabs: that is not a frozen page
+    document.addEventListener("visibilitychange", this.visibilityChanged)
+
+    this.heartbeatTimer = setInterval(this.heartbeat, 1000)
+    this.heartbeat()
+    this.scheduleIdle()
+  }
+
+  disconnect() {
+    this.activityEvents.forEach(type => document.removeEventListener(type, this.recordActivity, { capture: true }))
+    window.removeEventListener("recent-errors:changed", this.recordError)
+    document.removeEventListener("visibilitychange", this.visibilityChanged)
+    clearInterval(this.heartbeatTimer)
+    this.postToServiceWorker({ type: "watchdog:stop" })
+    clearTimeout(this.idleTimer)
+    this.stopCountdown()
+  }
+
+  // ========================================
+  // Idle timeout
+  // ========================================
+
+  recordActivity(event) {
+    // Touching the countdown itself is handled by its Stay button
+    if (this.countdownTimer && this.element.contains(event.target)) return
+
+    if (this.countdownTimer) this.stay()
+    this.scheduleIdle()
+  }
+
+  scheduleIdle() {
+    clearTimeout(this.idleTimer)
+    this.idleTimer = setTimeout(() => this.idle(), this.timeoutValue)
+  }
+
+  idle() {
+    if (this.isPristine()) {
+      this.scheduleIdle()
+      return
+    }
+
+    console.log("⏳ Kiosk idle - counting down to the home screen")
+    this.remaining = this.countdownValue
+    this.renderCountdown()
+
+    this.countdownTimer = setInterval(() => {
+      this.remaining -= 1
+      if (this.remaining <= 0) {
+        this.goHome()
+      } else {
+        this.renderCountdown()
+      }
+    }, 1000)
+  }
+
+  // Cancel the countdown
+  // Usage: data-action="kiosk-watchdog#stay"
+  stay() {
+    console.log("⏳ Kiosk countdown cancelled")
+    this.stopCountdown()
+    this.scheduleIdle()
+  }
+
+  stopCountdown() {
+    clearInterval(this.countdownTimer)
+    this.countdownTimer = null
+    this.element.innerHTML = ""
+  }
+
+  // Already on the home screen with nothing open: nothing to reset
+  isPristine() {
+    const active = document.activeElement
+    return window.location.pathname === this.homeValue &&
+           !isConfirmDialogOpen() &&
+           (!active || active === document.body)
+  }
+
+  goHome() {
+    console.log("🏠 Kiosk idle - returning to the home screen")
+    this.stopCountdown()
+
+    // Hides the on-screen keyboard (keyboard_controller) before the visit does
+    document.activeElement?.blur?.()
+
+    // Half-filled forms must not come back with the Back button
+    Turbo.cache.clear()
+
+    // The visit closes the confirmation dialog (lib/confirm_dialog) and hides
+    // the keyboard; the new <body> drops every other overlay
+    Turbo.visit(this.homeValue, { action: "replace" })
+  }
+
+  renderCountdown() {
+    const seconds = this.remaining === 1 ? "1 second" : `${this.remaining} seconds`
+
+    this.element.innerHTML = `
+      <div class="fixed inset-0 z-[10001] bg-black/70 flex items-center justify-center p-6"
+           role="alertdialog" aria-modal="true" aria-labelledby="kiosk-watchdog-title">
+        <div class="bg-white rounded-2xl shadow-2xl max-w-md w-full p-6 text-center">
+          <h2 id="kiosk-watchdog-title" class="text-2xl font-bold text-gray-900">Still there?</h2>
+          <p class="mt-2 text-lg text-gray-600">Returning to the home screen in</p>
+          <p class="my-4 text-6xl font-bold text-ismf-navy tabular-nums" aria-live="polite">${seconds}</p>
+          <p class="text-base text-gray-500">Unsaved input on this page will be discarded.</p>
+          <button type="button"
+                  class="touch-btn touch-btn-primary w-full mt-6"
+                  data-action="kiosk-watchdog#stay">
+            I'm still here
+          </button>
+        </div>
+      </div>
+    `
+  }
+
+  // ========================================
+  // Frozen page / error storm
+  // ========================================
+
+  // Tells the service worker the main thread is alive
+  heartbeat() {
+    if (document.hidden) return
+    this.postToServiceWorker({ type: "watchdog:beat", stallAfter: this.stallAfterValue })
+  }
+
+  visibilityChanged() {
+    if (document.hidden) {
+      this.postToServiceWorker({ type: "watchdog:stop" })
+    } else {
+      this.heartbeat()
+    }
+  }
+
+  postToServiceWorker(message) {
+    navigator.serviceWorker?.controller?.postMessage(message)
+  }
+
+  recordError() {
+    const now = Date.now()
+    errorTimes = errorTimes.filter(at => now - at < this.errorWindowValue)
+    errorTimes.push(now)
+
+    if (errorTimes.length >= this.errorLimitValue) {
+      this.recover(`${errorTimes.length} errors within ${Math.round(this.errorWindowValue / 1000)}s`)
+    }
+  }
+
+  // Full reload - Turbo or a controller may be what is broken
+  recover(reason) {
+    if (this.recovering) return
+
+    const now = Date.now()
+    const reloads = this.recentReloads().filter(at => now - at < RELOAD_WINDOW)
+
+    if (reloads.length >= MAX_RELOADS) {
+      console.error(`🐕 Watchdog: ${reason}, but already reloaded ${reloads.length} times - giving up`)
+      return
+    }
+
+    console.error(`🐕 Watchdog: ${reason} - reloading`)
+    this.recovering = true
+    errorTimes = []
+    clearInterval(this.heartbeatTimer)
+    this.postToServiceWorker({ type: "watchdog:stop" })
+
+    try {
+      sessionStorage.setItem(RELOADS_KEY, JSON.stringify([...reloads, now]))
+    } catch (error) {
+      // Private mode: reload without the loop guard
+    }
+
+    this.element.innerHTML = `
+      <div class="fixed inset-0 z-[10001] bg-ismf-navy text-white flex items-center justify-center p-6 text-center">
+        <p class="text-3xl font-bold">Recovering…</p>
+      </div>
+    `
+    setTimeout(() => window.location.reload(), 500)
+  }
+
+  recentReloads() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(RELOADS_KEY) || "[]")
+      return Array.isArray(stored) ? stored : []
+    } catch (error) {
+      return []
+    }
+  }
+}
@@ -0,0 +1,134 @@
+// frozen_string_literal: true
+
+import { Controller } from "@hotwired/stimulus"
+import { enqueueForm, entries, retry, discard } from "lib/outbox"
+
+// Connects to data-controller="outbox"
+//
+// Surfaces the offline outbox (lib/outbox) to the user:
+// - A pill showing how many changes are waiting for a connection
+// - A card per permanently rejected change, with Retry / Discard
+//
+// Forms opt in to offline queueing with data-outbox="true". While the device
+// is offline, submitting such a form stores it in the outbox instead of
+// failing; it is replayed in order when connectivity returns.
+//
+// Usage:
+//   <div data-controller="outbox"></div>
+//
+//   <%= form_with url: ..., data: { outbox: true, outbox_kind: "participation_copy",
+//                                   outbox_label: "Copy participants" } do |f| %>
+//
+export default class extends Controller {
+  connect() {
+    this.render = this.render.bind(this)
+    this.handleSubmit = this.handleSubmit.bind(this)
+
+    window.addEventListener("outbox:changed", this.render)
+    window.addEventListener("outbox:failed", this.render)
+    window.addEventListener("outbox:synced", this.render)
+    window.addEventListener("online", this.render)
+    window.addEventListener("offline", this.render)
+    document.addEventListener("submit", this.handleSubmit, true)
+
+    this.render()
+  }
+
+  disconnect() {
+    window.removeEventListener("outbox:changed", this.render)
+    window.removeEventListener("outbox:failed", this.render)
+    window.removeEventListener("outbox:synced", this.render)
+    window.removeEventListener("online", this.render)
+    window.removeEventListener("offline", this.render)
+    document.removeEventListener("submit", this.handleSubmit, true)
+  }
+
+  // Queue opted-in forms instead of letting them fail offline
+  async handleSubmit(event) {
+    const form = event.target
+    if (form.dataset.outbox !== "true" || navigator.onLine) return
+
+    // Stop Turbo and the native submission
+    event.preventDefault()
+    event.stopImmediatePropagation()
+
+    console.log("📮 Offline - queueing form submission")
+    await enqueueForm(form)
+    form.reset()
+
+    if (navigator.vibrate) {
+      navigator.vibrate(50)
+    }
+  }
+
+  async retry(event) {
+    await retry(event.params.uuid)
+  }
+
+  async discard(event) {
+    await discard(event.params.uuid)
+  }
+
+  async render() {
+    let all
+    try {
+      all = await entries()
+    } catch (error) {
+      console.error("❌ Outbox unavailable:", error)
+      return
+    }
+
+    const pending = all.filter(entry => entry.status === "pending")
+    const failed = all.filter(entry => entry.status === "failed")
+
+    this.element.innerHTML = `
+      <div class="fixed bottom-4 left-4 z-50 flex flex-col gap-3 max-w-md">
+        ${failed.map(entry => this.failedCard(entry)).join("")}
+        ${pending.length > 0 ? this.pendingPill(pending.length) : ""}
+      </div>
+    `
+  }
+
+  pendingPill(count) {
+    const status = navigator.onLine ? "syncing" : "waiting for connection"
+
+    return `
+      <div class="inline-flex items-center gap-3 self-start px-5 py-3 rounded-full bg-yellow-400 text-gray-900 font-bold shadow-lg">
+        <svg class="w-6 h-6 ${navigator.onLine ? "animate-spin" : ""}" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+        </svg>
+        <span>${count} change${count === 1 ? "" : "s"} ${status}</span>
+      </div>
+    `
+  }
+
+  failedCard(entry) {
+    return `
+      <div class="bg-red-100 border-2 border-red-500 text-red-900 px-5 py-4 rounded-xl shadow-lg">
+        <p class="text-lg font-bold">Not saved: ${this.escapeHtml(entry.label || entry.kind || "change")}</p>
+        <p class="text-sm mt-1">${this.escapeHtml(entry.last_error || "Rejected by server")}</p>
+        <div class="flex gap-3 mt-3">
+          <button type="button"
+                  class="flex-1 min-h-[56px] px-4 rounded-lg bg-red-600 text-white font-bold"
+                  data-action="outbox#retry"
+                  data-outbox-uuid-param="${this.escapeHtml(entry.client_uuid)}">
+            Retry
+          </button>
+          <button type="button"
+                  class="flex-1 min-h-[56px] px-4 rounded-lg bg-white text-red-900 font-bold border-2 border-red-300"
+                  data-action="outbox#discard"
+                  data-outbox-uuid-param="${this.escapeHtml(entry.client_uuid)}">
+            Discard
+          </button>
+        </div>
+      </div>
+    `
+  }
+
+  // Escape HTML to prevent XSS
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+}
@@ -3,50 +3,97 @@
 import { Controller } from "@hotwired/stimulus"
 
 // Penalty filter controller for touch display
-// Filters penalties by category (A-F) and race type (Individual/Team, Vertical, Sprint/Relay)
+// Filters penalties by category (A-F), race type (Individual/Team, Vertical, Sprint/Relay)
+// and free text (name, number, notes). Matches are highlighted in the cards.
+//
+// Categories and race types toggle as sets: "B and C, sprint or vertical" shows
+// penalties in category B or C that apply to sprint or vertical races. An empty
+// set means "all". Every button shows a badge with the number of penalties it
+// would yield given the other active filters.
+//
+// The active filter is mirrored to the URL query (?q=ski&category=B,C&race_type=vertical)
+// so a filtered view can be bookmarked and is restored on Turbo back/forward.
 export default class extends Controller {
   static targets = [
     "categoryBtn",
     "raceTypeBtn",
     "categorySection",
     "penaltyCard",
-    "noResults"
+    "noResults",
+    "searchInput",
+    "searchable",
+    "clearAllBtn"
   ]
 
   connect() {
-    this.activeCategory = "all"
-    this.activeRaceType = "all"
+    const params = new URLSearchParams(window.location.search)
+
+    this.activeCategories = this.parseSet(params.get("category"))
+    this.activeRaceTypes = this.parseSet(params.get("race_type"))
+    this.query = params.get("q") || ""
+
+    if (this.hasSearchInputTarget) {
+      this.searchInputTarget.value = this.query
+    }
+
+    this.applyFilters()
   }
 
+  // Toggle a category in or out of the active set ("all" clears the set)
   filterCategory(event) {
-    const category = event.currentTarget.dataset.category
+    this.toggle(this.activeCategories, event.currentTarget.dataset.category)
+    this.applyFilters()
+    this.updateUrl()
+  }
 
-    // Update active state
-    this.activeCategory = category
-    this.categoryBtnTargets.forEach(btn => {
-      const isActive = btn.dataset.category === category
-      
-      // Update button styling
-      if (isActive) {
-        btn.classList.remove("bg-gray-100", "text-gray-700", "hover:bg-gray-200", "border-gray-200")
-        btn.classList.add("bg-ismf-red", "text-white", "hover:bg-ismf-red/90", "border-white/20")
-      } else {
-        btn.classList.remove("bg-ismf-red", "text-white", "hover:bg-ismf-red/90", "border-white/20")
-        btn.classList.add("bg-gray-100", "text-gray-700", "hover:bg-gray-200", "border-gray-200")
-      }
-    })
+  // Toggle a race type in or out of the active set ("all" clears the set)
+  filterRaceType(event) {
+    this.toggle(this.activeRaceTypes, event.currentTarget.dataset.raceType)
+    this.applyFilters()
+    this.updateUrl()
+  }
+
+  toggle(set, value) {
+    if (value === "all") {
+      set.clear()
+    } else if (set.has(value)) {
+      set.delete(value)
+    } else {
+      set.add(value)
+    }
+  }
+
+  clearAll() {
+    this.activeCategories.clear()
+    this.activeRaceTypes.clear()
+    this.query = ""
+
+    if (this.hasSearchInputTarget) {
+      this.searchInputTarget.value = ""
+    }
 
     this.applyFilters()
+    this.updateUrl()
   }
 
-  filterRaceType(event) {
-    const raceType = event.currentTarget.dataset.raceType
+  search() {
+    this.query = this.searchInputTarget.value
+    this.applyFilters()
+    this.updateUrl()
+  }
+
+  clearSearch() {
+    this.searchInputTarget.value = ""
+    this.search()
+  }
+
+  updateButtons(buttons, key, activeSet) {
+    buttons.forEach(btn => {
+      const value = btn.dataset[key]
+      const isActive = value === "all" ? activeSet.size === 0 : activeSet.has(value)
+
+      btn.setAttribute("aria-pressed", isActive)
 
-    // Update active state
-    this.activeRaceType = raceType
-    this.raceTypeBtnTargets.forEach(btn => {
-      const isActive = btn.dataset.raceType === raceType
-      
       // Update button styling
       if (isActive) {
         btn.classList.remove("bg-gray-100", "text-gray-700", "hover:bg-gray-200", "border-gray-200")
@@ -56,26 +103,59 @@ export default class extends Controller {
         btn.classList.add("bg-gray-100", "text-gray-700", "hover:bg-gray-200", "border-gray-200")
       }
     })
+  }
+
+  // Badge on each button: how many penalties that choice would show,
+  // keeping the other group and the search as they are
+  updateCounts(matches) {
+    this.categoryBtnTargets.forEach(btn => {
+      const category = btn.dataset.category
+      const count = matches.filter(m =>
+        m.raceType && m.search && (category === "all" || m.card.dataset.category === category)
+      ).length
+      this.setBadge(btn, count)
+    })
 
-    this.applyFilters()
+    this.raceTypeBtnTargets.forEach(btn => {
+      const raceType = btn.dataset.raceType
+      const count = matches.filter(m =>
+        m.category && m.search && (raceType === "all" || this.appliesTo(m.card, raceType))
+      ).length
+      this.setBadge(btn, count)
+    })
+  }
+
+  setBadge(btn, count) {
+    let badge = btn.querySelector(".penalty-filter-count")
+    if (!badge) {
+      badge = document.createElement("span")
+      badge.className = "penalty-filter-count"
+      badge.setAttribute("aria-hidden", "true")
+      btn.appendChild(badge)
+    }
+
+    badge.textContent = count
+    btn.classList.toggle("penalty-filter-empty", count === 0)
   }
 
   applyFilters() {
     let visibleCount = 0
     const visibleCategories = new Set()
+    const terms = this.searchTerms()
+
+    // Evaluate each filter group separately so the badges can reuse the results
+    const matches = this.penaltyCardTargets.map(card => ({
+      card,
+      category: this.activeCategories.size === 0 || this.activeCategories.has(card.dataset.category),
+      raceType: this.activeRaceTypes.size === 0 ||
+        Array.from(this.activeRaceTypes).some(raceType => this.appliesTo(card, raceType)),
+      search: this.matchesTerms(card, terms)
+    }))
 
     // Filter penalty cards
-    this.penaltyCardTargets.forEach(card => {
+    matches.forEach(({ card, category, raceType, search }) => {
       const cardCategory = card.dataset.category
-      const matchesCategory = this.activeCategory === "all" || cardCategory === this.activeCategory
-      
-      let matchesRaceType = true
-      if (this.activeRaceType !== "all") {
-        const hasApplicablePenalty = card.dataset[this.camelCase(this.activeRaceType)] === "yes"
-        matchesRaceType = hasApplicablePenalty
-      }
-
-      const shouldShow = matchesCategory && matchesRaceType
+      const shouldShow = category && raceType && search
 
       if (shouldShow) {
         card.classList.remove("hidden")
@@ -86,6 +166,17 @@ export default class extends Controller {
       }
     })
 
+    this.updateButtons(this.categoryBtnTargets, "category", this.activeCategories)
+    this.updateButtons(this.raceTypeBtnTargets, "raceType", this.activeRaceTypes)
+    this.updateCounts(matches)
+
+    if (this.hasClearAllBtnTarget) {
+      const anyActive = this.activeCategories.size > 0 || this.activeRaceTypes.size > 0 || terms.length > 0
+      this.clearAllBtnTarget.classList.toggle("hidden", !anyActive)
+    }
+
+    this.highlight(terms)
+
     // Show/hide category headers based on visible cards
     this.categorySectionTargets.forEach(section => {
       const category = section.dataset.category
@@ -97,6 +188,8 @@ export default class extends Controller {
     })
 
     // Show/hide "no results" message
+    if (!this.hasNoResultsTarget) return
+
     if (visibleCount === 0) {
       this.noResultsTarget.classList.remove("hidden")
     } else {
@@ -104,8 +197,127 @@ export default class extends Controller {
     }
   }
 
+  // Race type columns are data attributes: data-sprint-relay="yes"
+  appliesTo(card, raceType) {
+    return card.dataset[this.camelCase(raceType)] === "yes"
+  }
+
+  // Every term must appear somewhere in the card's searchable text
+  matchesTerms(card, terms) {
+    if (terms.length === 0) return true
+
+    const text = this.normalize(
+      this.searchableTargetsIn(card).map(element => this.originalText(element)).join(" ")
+    )
+    // "b2" should find "B.2"
+    const compactText = text.replace(/\./g, "")
+
+    return terms.every(term => text.includes(term) || compactText.includes(term.replace(/\./g, "")))
+  }
+
+  searchTerms() {
+    return this.normalize(this.query)
+      .split(/\s+/)
+      .filter(term => term.length > 0)
+  }
+
+  // Wrap matches in <mark>, restoring the original text first
+  highlight(terms) {
+    this.searchableTargets.forEach(element => {
+      const text = this.originalText(element)
+
+      if (terms.length === 0) {
+        element.textContent = text
+        return
+      }
+
+      element.innerHTML = this.highlightedHtml(text, terms)
+    })
+  }
+
+  highlightedHtml(text, terms) {
+    const normalized = this.normalize(text)
+    const marks = new Array(text.length).fill(false)
+
+    // normalize() keeps the string length, so match positions map
+    // straight back onto the original text
+    terms.forEach(term => {
+      let index = normalized.indexOf(term)
+      while (index !== -1) {
+        marks.fill(true, index, index + term.length)
+        index = normalized.indexOf(term, index + term.length)
+      }
+    })
+
+    // Emit runs of marked / unmarked text
+    let html = ""
+    let start = 0
+    for (let i = 1; i <= text.length; i++) {
+      if (i === text.length || marks[i] !== marks[start]) {
+        const chunk = this.escapeHtml(text.slice(start, i))
+        html += marks[start] ? `<mark class="penalty-match">${chunk}</mark>` : chunk
+        start = i
+      }
+    }
+
+    return html
+  }
+
+  originalText(element) {
+    if (element.dataset.originalText === undefined) {
+      element.dataset.originalText = element.textContent.trim()
+    }
+    return element.dataset.originalText
+  }
+
+  searchableTargetsIn(card) {
+    return this.searchableTargets.filter(element => card.contains(element))
+  }
+
+  // Lowercase and strip accents one UTF-16 unit at a time, so the result has
+  // the same length as the input and match positions line up ("é" -> "e")
+  normalize(text) {
+    return text
+      .split("")
+      .map(char => char.toLowerCase().normalize("NFD").charAt(0))
+      .join("")
+  }
+
+  // Mirror the filter to the URL without adding history entries.
+  // Keeps Turbo's restoration state so back/forward still work.
+  updateUrl() {
+    const url = new URL(window.location.href)
+
+    this.setParam(url, "q", this.query.trim())
+    this.setParam(url, "category", Array.from(this.activeCategories).sort().join(","))
+    this.setParam(url, "race_type", Array.from(this.activeRaceTypes).sort().join(","))
+
+    window.history.replaceState(window.history.state, "", url)
+  }
+
+  // "B,C" -> Set { "B", "C" } (missing or "all" -> empty set)
+  parseSet(value) {
+    return new Set(
+      (value || "").split(",").map(item => item.trim()).filter(item => item && item !== "all")
+    )
+  }
+
+  setParam(url, key, value) {
+    if (value) {
+      url.searchParams.set(key, value)
+    } else {
+      url.searchParams.delete(key)
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+
   // Convert snake_case to camelCase for dataset attribute access
   camelCase(str) {
     return str.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase())
   }
-}
\ No newline at end of file
+}
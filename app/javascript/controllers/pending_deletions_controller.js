@@ -0,0 +1,147 @@
+// frozen_string_literal: true
+
+import { Controller } from "@hotwired/stimulus"
+import { pendingDeletions, undoDeletion, undoAll } from "lib/pending_deletions"
+import { showToast } from "lib/toasts"
+
+// Connects to data-controller="pending-deletions"
+//
+// Global undo bar for deletions (and other undoable swipe actions) waiting
+// out their undo window (lib/pending_deletions). Lives in the layout, so it is rebuilt on every
+// Turbo visit from the module's state: a delete started on one page can be
+// undone from the next one.
+//
+// - One row per pending deletion with a countdown and Undo
+// - "Undo all" when more than one deletion is pending
+// - Toast (lib/toasts) when a deletion is committed (or queued offline) or
+//   refused, with the server's reason
+//
+// Usage:
+//   <div data-controller="pending-deletions"></div>
+//
+export default class extends Controller {
+  connect() {
+    this.render = this.render.bind(this)
+    this.handleCommitted = this.handleCommitted.bind(this)
+    this.handleFailed = this.handleFailed.bind(this)
+
+    window.addEventListener("pending-deletions:changed", this.render)
+    window.addEventListener("pending-deletions:committed", this.handleCommitted)
+    window.addEventListener("pending-deletions:failed", this.handleFailed)
+
+    this.render()
+  }
+
+  disconnect() {
+    window.removeEventListener("pending-deletions:changed", this.render)
+    window.removeEventListener("pending-deletions:committed", this.handleCommitted)
+    window.removeEventListener("pending-deletions:failed", this.handleFailed)
+    this.stopCountdown()
+  }
+
+  undo(event) {
+    undoDeletion(event.params.id)
+
+    // Haptic feedback
+    if (navigator.vibrate) {
+      navigator.vibrate(50)
+    }
+  }
+
+  undoAll() {
+    undoAll()
+
+    if (navigator.vibrate) {
+      navigator.vibrate(50)
+    }
+  }
+
+  render() {
+    const entries = pendingDeletions()
+
+    if (entries.length === 0) {
+      this.element.innerHTML = ""
+      this.stopCountdown()
+      return
+    }
+
+    this.element.innerHTML = `
+      <div class="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 w-[min(40rem,calc(100%-2rem))] bg-gray-900 text-white rounded-xl shadow-2xl overflow-hidden"
+           role="status" aria-live="polite">
+        ${entries.map(entry => this.entryHtml(entry)).join("")}
+        ${entries.length > 1 ? `
+          <button type="button"
+                  class="w-full min-h-[56px] px-4 bg-yellow-500 active:bg-yellow-700 text-gray-900 text-lg font-bold"
+                  data-action="pending-deletions#undoAll">
+            Undo all (${entries.length})
+          </button>
+        ` : ""}
+      </div>
+    `
+
+    this.startCountdown()
+  }
+
+  entryHtml(entry) {
+    return `
+      <div class="flex items-center gap-4 px-4 py-2 border-b border-white/10">
+        <svg class="w-6 h-6 text-red-400 shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+        </svg>
+        <span class="flex-1 min-w-0 truncate text-lg font-bold">
+          ${this.escapeHtml(entry.name)}
+          ${entry.collapse ? "" : `<span class="font-normal text-gray-300"> · ${this.escapeHtml(entry.label)}</span>`}
+        </span>
+        <span class="text-sm text-gray-300 tabular-nums" data-deadline="${entry.deadline}">${this.secondsLeft(entry.deadline)}s</span>
+        <button type="button"
+                class="min-h-[56px] px-6 bg-yellow-500 active:bg-yellow-700 text-gray-900 text-lg font-bold rounded-lg flex items-center gap-2"
+                data-action="pending-deletions#undo"
+                data-pending-deletions-id-param="${this.escapeHtml(entry.id)}">
+          <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+          </svg>
+          Undo
+        </button>
+      </div>
+    `
+  }
+
+  startCountdown() {
+    if (this.countdownInterval) return
+
+    this.countdownInterval = setInterval(() => {
+      this.element.querySelectorAll("[data-deadline]").forEach(element => {
+        element.textContent = `${this.secondsLeft(parseInt(element.dataset.deadline, 10))}s`
+      })
+    }, 250)
+  }
+
+  stopCountdown() {
+    clearInterval(this.countdownInterval)
+    this.countdownInterval = null
+  }
+
+  secondsLeft(deadline) {
+    return Math.max(0, Math.ceil((deadline - Date.now()) / 1000))
+  }
+
+  handleCommitted(event) {
+    const { entry, queued } = event.detail
+    const message = entry.collapse ? `${entry.name} deleted` : `${entry.label}: ${entry.name}`
+    showToast({ message: queued ? `${message} (queued)` : message, type: "success" })
+  }
+
+  // The server's reason ("Participant has reports attached") or, when the
+  // session ran out, a hint to sign in again
+  handleFailed(event) {
+    const { entry, reason } = event.detail
+    const title = entry.collapse ? `Could not delete ${entry.name}` : `${entry.label} failed: ${entry.name}`
+    showToast({ message: reason ? `${title} - ${reason}` : title, type: "error" })
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+}
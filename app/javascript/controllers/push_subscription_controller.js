@@ -0,0 +1,180 @@
+// frozen_string_literal: true
+
+import { Controller } from "@hotwired/stimulus"
+
+// Connects to data-controller="push-subscription"
+//
+// Lets jury presidents and VAR operators opt in to Web Push alerts, so a new
+// incident (or one waiting to be officialized) reaches them even when the tab
+// is in the background. The service worker shows the notification and opens
+// the incident when it is tapped.
+//
+// Flow: ask for Notification permission -> PushManager.subscribe() with the
+// server's VAPID public key -> POST the subscription to /push_subscription.
+// Tapping the button again unsubscribes and tells the server to forget it.
+//
+// Usage:
+//   <div data-controller="push-subscription"
+//        data-push-subscription-vapid-public-key-value="<%= vapid_public_key %>"
+//        data-push-subscription-url-value="<%= push_subscription_path %>"
+//        hidden>
+//     <button data-push-subscription-target="button"
+//             data-action="push-subscription#toggle">Enable alerts</button>
+//     <span data-push-subscription-target="status"></span>
+//   </div>
+//
+export default class extends Controller {
+  static targets = ["button", "status"]
+  static values = {
+    vapidPublicKey: String,
+    url: { type: String, default: "/push_subscription" }
+  }
+
+  async connect() {
+    // Push needs a service worker, PushManager and a server key.
+    // Leave the element hidden on browsers (or deploys) without them.
+    if (!this.isSupported()) {
+      console.log("🔕 Web Push not available on this device")
+      return
+    }
+
+    this.element.hidden = false
+    await this.refresh()
+  }
+
+  isSupported() {
+    return this.hasVapidPublicKeyValue &&
+      this.vapidPublicKeyValue.length > 0 &&
+      "serviceWorker" in navigator &&
+      "PushManager" in window &&
+      "Notification" in window
+  }
+
+  async toggle() {
+    if (this.busy) return
+    this.busy = true
+    this.render("working")
+
+    try {
+      const subscription = await this.currentSubscription()
+
+      if (subscription) {
+        await this.unsubscribe(subscription)
+      } else {
+        await this.subscribe()
+      }
+    } catch (error) {
+      console.error("❌ Push subscription failed:", error)
+      this.render("error")
+      return
+    } finally {
+      this.busy = false
+    }
+
+    await this.refresh()
+  }
+
+  async subscribe() {
+    const permission = await Notification.requestPermission()
+    if (permission !== "granted") {
+      console.log("🔕 Notification permission:", permission)
+      return
+    }
+
+    const registration = await navigator.serviceWorker.ready
+    const subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(this.vapidPublicKeyValue)
+    })
+
+    try {
+      await this.send("POST", subscription.toJSON())
+    } catch (error) {
+      // Don't leave a browser subscription the server doesn't know about
+      await subscription.unsubscribe()
+      throw error
+    }
+
+    console.log("🔔 Subscribed to push notifications")
+
+    if (navigator.vibrate) {
+      navigator.vibrate(50)
+    }
+  }
+
+  async unsubscribe(subscription) {
+    const endpoint = subscription.endpoint
+    await subscription.unsubscribe()
+    await this.send("DELETE", { endpoint })
+
+    console.log("🔕 Unsubscribed from push notifications")
+  }
+
+  async send(method, body) {
+    const response = await fetch(this.urlValue, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": "application/json",
+        "X-CSRF-Token": this.getCsrfToken()
+      },
+      credentials: "same-origin",
+      body: JSON.stringify(body)
+    })
+
+    if (!response.ok) {
+      throw new Error(`Server responded with ${response.status}`)
+    }
+  }
+
+  async currentSubscription() {
+    const registration = await navigator.serviceWorker.ready
+    return registration.pushManager.getSubscription()
+  }
+
+  async refresh() {
+    if (Notification.permission === "denied") {
+      this.render("denied")
+      return
+    }
+
+    const subscription = await this.currentSubscription()
+    this.render(subscription ? "subscribed" : "unsubscribed")
+  }
+
+  render(state) {
+    const labels = {
+      subscribed: ["Disable alerts", "Alerts on"],
+      unsubscribed: ["Enable alerts", "Alerts off"],
+      denied: ["Alerts blocked", "Allow notifications in browser settings"],
+      working: ["Please wait…", ""],
+      error: ["Enable alerts", "Could not update alerts"]
+    }
+    const [buttonLabel, statusLabel] = labels[state]
+
+    this.element.dataset.pushState = state
+
+    if (this.hasButtonTarget) {
+      this.buttonTarget.textContent = buttonLabel
+      this.buttonTarget.disabled = state === "denied" || state === "working"
+      this.buttonTarget.setAttribute("aria-pressed", state === "subscribed")
+    }
+
+    if (this.hasStatusTarget) {
+      this.statusTarget.textContent = statusLabel
+    }
+  }
+
+  getCsrfToken() {
+    const meta = document.querySelector('meta[name="csrf-token"]')
+    return meta ? meta.content : ""
+  }
+}
+
+// VAPID keys are distributed as URL-safe base64; PushManager wants raw bytes
+function urlBase64ToUint8Array(base64String) {
+  const padding = "=".repeat((4 - base64String.length % 4) % 4)
+  const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/")
+  const raw = atob(base64)
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0))
+}
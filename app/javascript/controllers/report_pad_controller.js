@@ -0,0 +1,429 @@
+// frozen_string_literal: true
+
+import { Controller } from "@hotwired/stimulus"
+import { enqueue, generateUuid } from "lib/outbox"
+import { reportError } from "lib/error_reporter"
+
+// Connects to data-controller="report-pad"
+//
+// Bib-number quick-report pad for field-of-play referees:
+// "Tap bib #34 → Report created" (docs/DATABASE_DESIGN.md, incident workflow)
+//
+// - Bib grid built from the participations already rendered on the page
+//   (participation targets), rebuilt when rows are added or swiped away
+// - Numeric entry fallback for bibs that are hard to find in the grid
+// - Location picker, remembered per race on this device
+// - Optimistic: the report shows up instantly; it is only sent once the undo
+//   window has passed, so a mis-tap never reaches the VAR desk
+// - Offline or failed sends go to the outbox (lib/outbox) and replay later
+//
+// Usage:
+//   <div data-controller="report-pad"
+//        data-report-pad-url-value="<%= admin_race_reports_path(@race) %>"
+//        data-report-pad-race-id-value="<%= @race.id %>">
+//     <div data-report-pad-target="grid"></div>
+//     <button data-report-pad-target="location"
+//             data-action="report-pad#selectLocation"
+//             data-report-pad-location-id-param="7"
+//             data-report-pad-location-name-param="Start">Start</button>
+//     <form data-action="submit->report-pad#submitEntry">
+//       <input data-report-pad-target="entry" inputmode="numeric">
+//     </form>
+//     <div data-report-pad-target="undoBar" hidden>...</div>
+//     <ul data-report-pad-target="recent"></ul>
+//
+//     <div data-report-pad-target="participation"
+//          data-bib-number="34" data-athlete-name="Jane DOE" data-reportable="true"></div>
+//   </div>
+//
+export default class extends Controller {
+  static targets = ["grid", "participation", "location", "entry", "undoBar", "undoLabel", "undoCountdown", "recent"]
+  static values = {
+    url: String,
+    raceId: Number,
+    undoWindow: { type: Number, default: 5000 },
+    recentLimit: { type: Number, default: 5 }
+  }
+
+  connect() {
+    this.pending = new Map()
+    this.locationId = null
+    this.locationName = null
+
+    this.restoreLocation()
+    this.renderGrid()
+  }
+
+  disconnect() {
+    // Leaving the page must not lose taps still inside their undo window
+    this.pending.forEach((report) => {
+      clearTimeout(report.timeout)
+      this.send(report, { keepalive: true })
+    })
+    this.pending.clear()
+    clearInterval(this.countdownInterval)
+  }
+
+  // Stimulus target callbacks - keep the grid in sync with the rendered list
+  participationTargetConnected() {
+    this.scheduleRenderGrid()
+  }
+
+  participationTargetDisconnected() {
+    this.scheduleRenderGrid()
+  }
+
+  scheduleRenderGrid() {
+    if (this.renderQueued) return
+    this.renderQueued = true
+
+    requestAnimationFrame(() => {
+      this.renderQueued = false
+      this.renderGrid()
+    })
+  }
+
+  // ---------------------------------------------------------------------------
+  // Bib grid
+  // ---------------------------------------------------------------------------
+
+  get participations() {
+    return this.participationTargets
+      .filter((element) => element.dataset.reportable !== "false")
+      .map((element) => ({
+        bib: parseInt(element.dataset.bibNumber, 10),
+        name: element.dataset.athleteName || ""
+      }))
+      .filter((participation) => Number.isInteger(participation.bib))
+      .sort((a, b) => a.bib - b.bib)
+  }
+
+  renderGrid() {
+    if (!this.hasGridTarget) return
+
+    const participations = this.participations
+
+    if (participations.length === 0) {
+      this.gridTarget.innerHTML = `
+        <p class="col-span-full text-sm text-ismf-gray text-center py-4">
+          No active bibs - use the number entry below.
+        </p>
+      `
+      return
+    }
+
+    this.gridTarget.innerHTML = participations.map(({ bib, name }) => `
+      <button type="button"
+              class="report-pad-bib"
+              data-action="report-pad#tapBib"
+              data-report-pad-bib-param="${bib}"
+              aria-label="Report bib ${bib}${name ? ` - ${this.escapeHtml(name)}` : ""}">
+        ${bib}
+      </button>
+    `).join("")
+  }
+
+  tapBib(event) {
+    const button = event.currentTarget
+    button.classList.add("report-pad-bib-tapped")
+    setTimeout(() => button.classList.remove("report-pad-bib-tapped"), 300)
+
+    this.report(event.params.bib)
+  }
+
+  // ---------------------------------------------------------------------------
+  // Numeric entry fallback
+  // ---------------------------------------------------------------------------
+
+  submitEntry(event) {
+    event.preventDefault()
+    if (!this.hasEntryTarget) return
+
+    const bib = parseInt(this.entryTarget.value, 10)
+    if (!Number.isInteger(bib) || bib < 1 || bib > 9999) {
+      this.entryTarget.classList.add("report-pad-entry-invalid")
+      setTimeout(() => this.entryTarget.classList.remove("report-pad-entry-invalid"), 600)
+
+      if (navigator.vibrate) {
+        navigator.vibrate([30, 50, 30])
+      }
+      return
+    }
+
+    this.entryTarget.value = ""
+    this.report(bib)
+  }
+
+  // ---------------------------------------------------------------------------
+  // Location picker
+  // ---------------------------------------------------------------------------
+
+  selectLocation(event) {
+    const { locationId, locationName } = event.params
+
+    // Tapping the selected location again clears it
+    if (this.locationId === locationId) {
+      this.setLocation(null, null)
+    } else {
+      this.setLocation(locationId, locationName)
+    }
+  }
+
+  setLocation(id, name) {
+    this.locationId = id
+    this.locationName = name
+
+    try {
+      if (id) {
+        localStorage.setItem(this.locationStorageKey, JSON.stringify({ id, name }))
+      } else {
+        localStorage.removeItem(this.locationStorageKey)
+      }
+    } catch (error) {
+      // Storage can be unavailable (private mode) - selection still works for this page
+    }
+
+    this.locationTargets.forEach((element) => {
+      const selected = parseInt(element.dataset.reportPadLocationIdParam, 10) === id
+      element.classList.toggle("report-pad-location-selected", selected)
+      element.setAttribute("aria-pressed", selected)
+    })
+  }
+
+  restoreLocation() {
+    let stored = null
+    try {
+      stored = JSON.parse(localStorage.getItem(this.locationStorageKey))
+    } catch (error) {
+      stored = null
+    }
+
+    // Only restore a location that still exists for this race
+    const exists = stored && this.locationTargets.some((element) =>
+      parseInt(element.dataset.reportPadLocationIdParam, 10) === stored.id
+    )
+
+    this.setLocation(exists ? stored.id : null, exists ? stored.name : null)
+  }
+
+  get locationStorageKey() {
+    return `report_pad_location_${this.raceIdValue}`
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reporting with undo window
+  // ---------------------------------------------------------------------------
+
+  report(bib) {
+    const participation = this.participations.find((p) => p.bib === bib)
+    const report = {
+      clientUuid: generateUuid(),
+      bib,
+      name: participation?.name || "Not in start list",
+      locationId: this.locationId,
+      locationName: this.locationName,
+      createdAt: new Date()
+    }
+
+    console.log(`📝 Report bib #${bib}`, report.locationName || "(no location)")
+
+    if (navigator.vibrate) {
+      navigator.vibrate(50)
+    }
+
+    report.timeout = setTimeout(() => this.commit(report.clientUuid), this.undoWindowValue)
+    this.pending.set(report.clientUuid, report)
+
+    this.addRecent(report)
+    this.showUndoBar(report)
+  }
+
+  undo() {
+    const report = this.latestPending
+    if (!report) return
+
+    clearTimeout(report.timeout)
+    this.pending.delete(report.clientUuid)
+    this.removeRecent(report.clientUuid)
+
+    console.log(`↩️ Undo report bib #${report.bib}`)
+
+    if (navigator.vibrate) {
+      navigator.vibrate([30, 50, 30])
+    }
+
+    this.refreshUndoBar()
+  }
+
+  commit(clientUuid) {
+    const report = this.pending.get(clientUuid)
+    if (!report) return
+
+    this.pending.delete(clientUuid)
+    this.refreshUndoBar()
+    this.send(report)
+  }
+
+  async send(report, { keepalive = false } = {}) {
+    const body = {
+      client_uuid: report.clientUuid,
+      bib_number: report.bib,
+      race_location_id: report.locationId
+    }
+
+    if (!navigator.onLine) {
+      await this.queue(report, body)
+      return
+    }
+
+    this.setRecentState(report.clientUuid, "sending")
+
+    try {
+      const response = await fetch(this.urlValue, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": this.getCsrfToken()
+        },
+        body: JSON.stringify(body),
+        credentials: "same-origin",
+        keepalive
+      })
+
+      if (response.ok) {
+        this.setRecentState(report.clientUuid, "sent")
+      } else if (response.status >= 500) {
+        await this.queue(report, body)
+      } else {
+        const data = await response.json().catch(() => ({}))
+        console.error("❌ Report rejected:", data.error || response.status)
+        this.setRecentState(report.clientUuid, "failed", data.error || "Rejected")
+      }
+    } catch (error) {
+      // Network failure - the outbox retries with the same client_uuid
+      console.error("Report failed, queueing for later:", error)
+      await this.queue(report, body)
+    }
+  }
+
+  async queue(report, body) {
+    try {
+      await enqueue({
+        url: this.urlValue,
+        method: "POST",
+        body,
+        contentType: "application/json",
+        kind: "report",
+        label: `Report bib #${report.bib}`,
+        clientUuid: report.clientUuid
+      })
+      this.setRecentState(report.clientUuid, "queued")
+    } catch (error) {
+      console.error("❌ Could not queue report:", error)
+      reportError(error, { controller: "report-pad" })
+      this.setRecentState(report.clientUuid, "failed", "Not saved")
+    }
+  }
+
+  get latestPending() {
+    return Array.from(this.pending.values()).pop()
+  }
+
+  // ---------------------------------------------------------------------------
+  // Undo bar
+  // ---------------------------------------------------------------------------
+
+  showUndoBar(report) {
+    if (!this.hasUndoBarTarget) return
+
+    this.undoBarTarget.hidden = false
+    if (this.hasUndoLabelTarget) {
+      const where = report.locationName ? ` @ ${report.locationName}` : ""
+      this.undoLabelTarget.textContent = `Bib #${report.bib}${where}`
+    }
+
+    clearInterval(this.countdownInterval)
+    this.countdownInterval = setInterval(() => this.updateCountdown(), 200)
+    this.updateCountdown()
+  }
+
+  refreshUndoBar() {
+    const report = this.latestPending
+
+    if (report) {
+      this.showUndoBar(report)
+    } else if (this.hasUndoBarTarget) {
+      clearInterval(this.countdownInterval)
+      this.undoBarTarget.hidden = true
+    }
+  }
+
+  updateCountdown() {
+    const report = this.latestPending
+    if (!report || !this.hasUndoCountdownTarget) return
+
+    const remaining = this.undoWindowValue - (Date.now() - report.createdAt.getTime())
+    this.undoCountdownTarget.textContent = `${Math.max(0, Math.ceil(remaining / 1000))}s`
+  }
+
+  // ---------------------------------------------------------------------------
+  // Recent reports list
+  // ---------------------------------------------------------------------------
+
+  addRecent(report) {
+    if (!this.hasRecentTarget) return
+
+    const time = report.createdAt.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" })
+    const item = document.createElement("li")
+    item.id = `report_${report.clientUuid}`
+    item.className = "report-pad-recent"
+    item.dataset.state = "pending"
+    item.innerHTML = `
+      <span class="report-pad-recent-bib">#${report.bib}</span>
+      <span class="flex-1 min-w-0 truncate">
+        ${this.escapeHtml(report.name)}
+        ${report.locationName ? `<span class="text-ismf-gray"> @ ${this.escapeHtml(report.locationName)}</span>` : ""}
+      </span>
+      <span class="text-xs text-ismf-gray">${time}</span>
+      <span class="report-pad-recent-state">Undo possible</span>
+    `
+
+    this.recentTarget.prepend(item)
+
+    while (this.recentTarget.children.length > this.recentLimitValue) {
+      this.recentTarget.lastElementChild.remove()
+    }
+  }
+
+  removeRecent(clientUuid) {
+    document.getElementById(`report_${clientUuid}`)?.remove()
+  }
+
+  setRecentState(clientUuid, state, message = null) {
+    const item = document.getElementById(`report_${clientUuid}`)
+    if (!item) return
+
+    const labels = {
+      sending: "Sending…",
+      sent: "✓ Reported",
+      queued: "Queued (offline)",
+      failed: message ? `Failed: ${message}` : "Failed"
+    }
+
+    item.dataset.state = state
+    item.querySelector(".report-pad-recent-state").textContent = labels[state]
+  }
+
+  getCsrfToken() {
+    const meta = document.querySelector('meta[name="csrf-token"]')
+    return meta ? meta.content : ""
+  }
+
+  // Also used inside attribute values, so quotes are escaped too
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML.replace(/"/g, "&quot;")
+  }
+}
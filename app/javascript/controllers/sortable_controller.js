@@ -0,0 +1,450 @@
+// frozen_string_literal: true
+
+import { Controller } from "@hotwired/stimulus"
+
+// Connects to data-controller="sortable"
+//
+// Drag-and-drop reordering for lists and table bodies (race locations,
+// location templates). Works with touch, mouse and pen through Pointer
+// Events on a drag handle, and with the keyboard on the same handle.
+//
+// - The dragged row follows the pointer; the other rows slide out of the way
+// - Dragging near the top or bottom edge scrolls the page (or the nearest
+//   scrolling container)
+// - On drop the new display_order (1 × step, 2 × step, ...) is POSTed to the
+//   reorder endpoint as order[id] = position
+// - If the server rejects it, the rows move back and the error is shown
+//
+// Keyboard: focus a handle, Space/Enter picks the row up, ↑/↓ move it,
+// Space/Enter drops it, Escape puts it back.
+//
+// Usage:
+//   <div data-controller="sortable"
+//        data-sortable-url-value="<%= reorder_admin_race_race_locations_path(@race) %>">
+//     <p data-sortable-target="error" role="alert" hidden></p>
+//     <table><tbody>
+//       <tr data-sortable-target="item" data-sortable-id="12" data-sortable-label="Start">
+//         <td>
+//           <span data-sortable-target="position">10</span>
+//           <button type="button" data-sortable-target="handle"
+//                   data-action="pointerdown->sortable#pointerDown keydown->sortable#keydown">≡</button>
+//         </td>
+//       </tr>
+//     </tbody></table>
+//     <p class="sr-only" data-sortable-target="status" aria-live="polite"></p>
+//   </div>
+//
+export default class extends Controller {
+  static targets = ["item", "handle", "position", "error", "status"]
+  static values = {
+    url: String,
+    step: { type: Number, default: 10 },        // display_order spacing, as new records use
+    edgeSize: { type: Number, default: 60 },    // Pixels from the edge where auto-scroll starts
+    scrollSpeed: { type: Number, default: 12 }  // Pixels per frame at the very edge
+  }
+
+  connect() {
+    this.pointerMove = this.pointerMove.bind(this)
+    this.pointerUp = this.pointerUp.bind(this)
+    this.autoScroll = this.autoScroll.bind(this)
+  }
+
+  disconnect() {
+    this.cancelDrag()
+  }
+
+  // The handle owns the gesture: no browser panning or zooming on it
+  handleTargetConnected(handle) {
+    handle.style.touchAction = "none"
+    handle.setAttribute("aria-roledescription", "sortable")
+  }
+
+  // ---------------------------------------------------------------------------
+  // Pointer dragging
+  // ---------------------------------------------------------------------------
+
+  pointerDown(event) {
+    if (this.dragging || this.saving) return
+    if (event.pointerType === "mouse" && event.button !== 0) return
+
+    const item = this.itemFor(event.currentTarget)
+    if (!item) return
+
+    event.preventDefault()
+
+    this.dragging = {
+      item,
+      handle: event.currentTarget,
+      pointerId: event.pointerId,
+      startY: event.clientY,
+      pointerY: event.clientY,
+      scrollParent: this.scrollParent(),
+      originalOrder: this.currentOrder()
+    }
+    this.dragging.startScroll = this.scrollTop(this.dragging.scrollParent)
+
+    event.currentTarget.setPointerCapture(event.pointerId)
+    event.currentTarget.addEventListener("pointermove", this.pointerMove)
+    event.currentTarget.addEventListener("pointerup", this.pointerUp)
+    event.currentTarget.addEventListener("pointercancel", this.pointerUp)
+
+    item.classList.add("sortable-dragging")
+    item.style.position = "relative"
+    item.style.zIndex = "10"
+    item.style.transition = "none"
+
+    if (navigator.vibrate) {
+      navigator.vibrate(30)
+    }
+
+    this.scrollFrame = requestAnimationFrame(this.autoScroll)
+  }
+
+  pointerMove(event) {
+    if (!this.dragging || event.pointerId !== this.dragging.pointerId) return
+
+    this.dragging.pointerY = event.clientY
+    this.followPointer()
+  }
+
+  pointerUp(event) {
+    if (!this.dragging || event.pointerId !== this.dragging.pointerId) return
+
+    const { item, originalOrder } = this.dragging
+    const cancelled = event.type === "pointercancel"
+
+    this.endDrag()
+
+    if (cancelled) {
+      this.restoreOrder(originalOrder)
+      return
+    }
+
+    // Settle into the slot
+    this.animateTo(item, 0)
+    this.commit(originalOrder, item)
+  }
+
+  // Move the row with the pointer and swap it past neighbours' midpoints
+  followPointer() {
+    const { item, startY, pointerY, scrollParent, startScroll } = this.dragging
+    const scrolled = this.scrollTop(scrollParent) - startScroll
+    const offset = pointerY - startY + scrolled
+
+    item.style.transform = `translateY(${offset}px)`
+
+    const rect = item.getBoundingClientRect()
+    const middle = rect.top + rect.height / 2
+    const previous = this.previousItem(item)
+    const next = this.nextItem(item)
+
+    if (previous && middle < this.midpoint(previous)) {
+      this.moveItem(item, previous, "before")
+    } else if (next && middle > this.midpoint(next)) {
+      this.moveItem(item, next, "after")
+    }
+  }
+
+  // Put `item` before/after `sibling` in the DOM and animate the sibling
+  // from its old to its new place (FLIP). The dragged row's transform is
+  // corrected so it stays under the pointer.
+  moveItem(item, sibling, where) {
+    const itemTop = item.getBoundingClientRect().top
+    const siblingTop = sibling.getBoundingClientRect().top
+
+    if (where === "before") {
+      sibling.before(item)
+    } else {
+      sibling.after(item)
+    }
+
+    const siblingShift = siblingTop - sibling.getBoundingClientRect().top
+    sibling.style.transition = "none"
+    sibling.style.transform = `translateY(${siblingShift}px)`
+    requestAnimationFrame(() => this.animateTo(sibling, 0))
+
+    // Re-base the drag on the row's new natural position
+    const naturalTop = item.getBoundingClientRect().top
+    this.dragging.startY += naturalTop - itemTop
+    this.followPointer()
+  }
+
+  // Scroll while the pointer is near an edge of the scrolling area
+  autoScroll() {
+    if (!this.dragging) return
+
+    const { pointerY, scrollParent } = this.dragging
+    const bounds = scrollParent === window
+      ? { top: 0, bottom: window.innerHeight }
+      : scrollParent.getBoundingClientRect()
+
+    let delta = 0
+    if (pointerY < bounds.top + this.edgeSizeValue) {
+      delta = -this.scrollSpeedValue * (1 - Math.max(0, pointerY - bounds.top) / this.edgeSizeValue)
+    } else if (pointerY > bounds.bottom - this.edgeSizeValue) {
+      delta = this.scrollSpeedValue * (1 - Math.max(0, bounds.bottom - pointerY) / this.edgeSizeValue)
+    }
+
+    if (delta !== 0) {
+      scrollParent.scrollBy(0, delta)
+      this.followPointer()
+    }
+
+    this.scrollFrame = requestAnimationFrame(this.autoScroll)
+  }
+
+  endDrag() {
+    if (!this.dragging) return
+
+    const { item, handle, pointerId } = this.dragging
+
+    cancelAnimationFrame(this.scrollFrame)
+    handle.removeEventListener("pointermove", this.pointerMove)
+    handle.removeEventListener("pointerup", this.pointerUp)
+    handle.removeEventListener("pointercancel", this.pointerUp)
+    if (handle.hasPointerCapture?.(pointerId)) handle.releasePointerCapture(pointerId)
+
+    item.classList.remove("sortable-dragging")
+    item.style.zIndex = ""
+
+    this.dragging = null
+  }
+
+  cancelDrag() {
+    if (!this.dragging) return
+
+    const { originalOrder } = this.dragging
+    this.endDrag()
+    this.restoreOrder(originalOrder)
+  }
+
+  // ---------------------------------------------------------------------------
+  // Keyboard
+  // ---------------------------------------------------------------------------
+
+  keydown(event) {
+    if (this.saving) return
+
+    const item = this.itemFor(event.currentTarget)
+    if (!item) return
+
+    if (!this.keyboardItem) {
+      if (event.key === " " || event.key === "Enter") {
+        event.preventDefault()
+        this.keyboardItem = item
+        this.keyboardOrder = this.currentOrder()
+        item.classList.add("sortable-dragging")
+        event.currentTarget.setAttribute("aria-pressed", "true")
+        this.announce(`Picked up ${this.labelFor(item)}. Use the arrow keys to move, Space to drop, Escape to cancel.`)
+      }
+      return
+    }
+
+    const handle = event.currentTarget
+
+    switch (event.key) {
+      case "ArrowUp":
+      case "ArrowDown": {
+        event.preventDefault()
+        const sibling = event.key === "ArrowUp" ? this.previousItem(item) : this.nextItem(item)
+        if (!sibling) return
+
+        if (event.key === "ArrowUp") {
+          sibling.before(item)
+        } else {
+          sibling.after(item)
+        }
+        handle.focus()
+        this.announce(`${this.labelFor(item)}, position ${this.itemTargets.indexOf(item) + 1} of ${this.itemTargets.length}`)
+        break
+      }
+      case " ":
+      case "Enter": {
+        event.preventDefault()
+        const originalOrder = this.keyboardOrder
+        this.dropKeyboard(handle)
+        this.commit(originalOrder, item)
+        break
+      }
+      case "Escape":
+        event.preventDefault()
+        this.restoreOrder(this.keyboardOrder)
+        this.dropKeyboard(handle)
+        handle.focus()
+        this.announce("Move cancelled")
+        break
+    }
+  }
+
+  dropKeyboard(handle) {
+    this.keyboardItem.classList.remove("sortable-dragging")
+    handle.setAttribute("aria-pressed", "false")
+    this.keyboardItem = null
+    this.keyboardOrder = null
+  }
+
+  // ---------------------------------------------------------------------------
+  // Saving
+  // ---------------------------------------------------------------------------
+
+  async commit(originalOrder, item) {
+    const order = this.currentOrder()
+    if (order.join(",") === originalOrder.join(",")) return
+
+    const previousLabels = this.positionTargets.map(label => [label, label.textContent])
+    const positions = this.renumber()
+    this.hideError()
+    this.saving = true
+    this.element.setAttribute("aria-busy", "true")
+
+    try {
+      const response = await fetch(this.urlValue, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": this.getCsrfToken()
+        },
+        body: JSON.stringify({ order: positions }),
+        credentials: "same-origin"
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || `Server responded with ${response.status}`)
+      }
+
+      console.log("↕️ Order saved", positions)
+      this.announce(`${this.labelFor(item)} moved to position ${order.indexOf(item.dataset.sortableId) + 1}`)
+      this.flash(item, "sortable-saved")
+    } catch (error) {
+      // Roll back to the order the server still has
+      console.error("❌ Reorder failed:", error)
+      this.restoreOrder(originalOrder)
+      previousLabels.forEach(([label, text]) => { label.textContent = text })
+      this.showError(error.message === "Failed to fetch" ? "Could not reach the server - order not saved." : error.message)
+      this.flash(item, "sortable-failed")
+
+      if (navigator.vibrate) {
+        navigator.vibrate([30, 50, 30])
+      }
+    } finally {
+      this.saving = false
+      this.element.removeAttribute("aria-busy")
+    }
+  }
+
+  // New display_order per id, and show it in the rows
+  renumber() {
+    const positions = {}
+
+    this.itemTargets.forEach((item, index) => {
+      const position = (index + 1) * this.stepValue
+      positions[item.dataset.sortableId] = position
+
+      const label = this.positionTargets.find(element => item.contains(element))
+      if (label) label.textContent = position
+    })
+
+    return positions
+  }
+
+  restoreOrder(order) {
+    const items = new Map(this.itemTargets.map(item => [item.dataset.sortableId, item]))
+    const before = new Map(this.itemTargets.map(item => [item, item.getBoundingClientRect().top]))
+
+    order.forEach(id => {
+      const item = items.get(id)
+      if (item) item.parentElement.appendChild(item)
+    })
+
+    // Slide every row back from where it was (FLIP)
+    this.itemTargets.forEach(item => {
+      const shift = before.get(item) - item.getBoundingClientRect().top
+      item.style.transition = "none"
+      item.style.transform = `translateY(${shift}px)`
+    })
+    requestAnimationFrame(() => this.itemTargets.forEach(item => this.animateTo(item, 0)))
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  currentOrder() {
+    return this.itemTargets.map(item => item.dataset.sortableId)
+  }
+
+  itemFor(element) {
+    return this.itemTargets.find(item => item.contains(element))
+  }
+
+  previousItem(item) {
+    return this.itemTargets[this.itemTargets.indexOf(item) - 1]
+  }
+
+  nextItem(item) {
+    return this.itemTargets[this.itemTargets.indexOf(item) + 1]
+  }
+
+  midpoint(item) {
+    const rect = item.getBoundingClientRect()
+    return rect.top + rect.height / 2
+  }
+
+  labelFor(item) {
+    return item.dataset.sortableLabel || "Item"
+  }
+
+  animateTo(item, offset) {
+    item.style.transition = "transform 0.2s cubic-bezier(0.4, 0, 0.2, 1)"
+    item.style.transform = offset === 0 ? "" : `translateY(${offset}px)`
+  }
+
+  flash(item, className) {
+    item.classList.add(className)
+    setTimeout(() => item.classList.remove(className), 1200)
+  }
+
+  // Nearest scrolling ancestor, or the window
+  scrollParent() {
+    let element = this.element.parentElement
+
+    while (element && element !== document.body) {
+      const { overflowY } = getComputedStyle(element)
+      if (/(auto|scroll)/.test(overflowY) && element.scrollHeight > element.clientHeight) {
+        return element
+      }
+      element = element.parentElement
+    }
+
+    return window
+  }
+
+  scrollTop(scrollParent) {
+    return scrollParent === window ? window.scrollY : scrollParent.scrollTop
+  }
+
+  showError(message) {
+    if (!this.hasErrorTarget) return
+
+    this.errorTarget.textContent = message
+    this.errorTarget.hidden = false
+  }
+
+  hideError() {
+    if (this.hasErrorTarget) this.errorTarget.hidden = true
+  }
+
+  // Screen reader announcements (aria-live status element)
+  announce(message) {
+    if (this.hasStatusTarget) {
+      this.statusTarget.textContent = message
+    }
+  }
+
+  getCsrfToken() {
+    const meta = document.querySelector('meta[name="csrf-token"]')
+    return meta ? meta.content : ""
+  }
+}
@@ -0,0 +1,198 @@
+// frozen_string_literal: true
+
+import { Controller } from "@hotwired/stimulus"
+import { highlight } from "lib/stream_actions"
+
+// Connects to data-controller="stream-animation"
+//
+// Animates Turbo Stream changes to the rows of a list, so officials notice
+// them on a busy screen:
+//
+// - append / prepend into the list: new rows slide and fade in, then pulse
+// - replace / update of a row: fields whose text changed flash
+//   (mark them with data-stream-field="name"; unmarked rows flash as a whole)
+// - remove of a row: it slides out, flashes red and collapses
+//
+// With prefers-reduced-motion there is no movement: new and changed rows
+// are only marked, removed rows disappear at once.
+//
+// Usage:
+//   <tbody id="participations" data-controller="stream-animation">
+//     <tr id="participation_123">
+//       <td data-stream-field="status">Registered</td>
+//     </tr>
+//   </tbody>
+//
+export default class extends Controller {
+  static values = {
+    duration: { type: Number, default: 500 },
+    highlight: { type: Boolean, default: true }
+  }
+
+  connect() {
+    this.streamActionHandler = this.handleStreamAction.bind(this)
+    document.addEventListener("turbo:before-stream-render", this.streamActionHandler)
+  }
+
+  disconnect() {
+    document.removeEventListener("turbo:before-stream-render", this.streamActionHandler)
+  }
+
+  handleStreamAction(event) {
+    const stream = event.detail.newStream
+    const action = stream.getAttribute("action")
+    const targets = this.streamTargets(stream)
+    if (targets.length === 0) return
+
+    const render = event.detail.render
+
+    if ((action === "append" || action === "prepend") && targets.includes(this.element)) {
+      event.detail.render = async (streamElement) => {
+        const before = new Set(this.element.children)
+        await render(streamElement)
+        Array.from(this.element.children)
+          .filter(child => !before.has(child))
+          .forEach(child => this.animateEnter(child))
+      }
+    } else if (action === "replace" || action === "update") {
+      const rows = targets.filter(element => this.ownsRow(element))
+      if (rows.length === 0) return
+
+      const snapshots = rows.map(row => ({ id: row.id, fields: this.fieldValues(row), text: row.textContent }))
+      event.detail.render = async (streamElement) => {
+        await render(streamElement)
+        snapshots.forEach(snapshot => this.flashChanges(snapshot))
+      }
+    } else if (action === "remove") {
+      const rows = targets.filter(element => this.ownsRow(element))
+      if (rows.length === 0) return
+
+      event.detail.render = async (streamElement) => {
+        await Promise.all(rows.map(row => this.animateLeave(row)))
+        await render(streamElement)
+      }
+    }
+  }
+
+  // Animate out and remove the row containing the clicked element
+  // Usage: data-action="stream-animation#remove"
+  async remove(event) {
+    const row = Array.from(this.element.children).find(child => child.contains(event.target))
+    if (!row) return
+
+    await this.animateLeave(row)
+    row.remove()
+  }
+
+  streamTargets(stream) {
+    if (!stream.hasAttribute("target") && !stream.hasAttribute("targets")) return []
+    return Array.from(stream.targetElements)
+  }
+
+  // A row of this list (not the list itself, and not a row of a nested list)
+  ownsRow(element) {
+    return element !== this.element &&
+           this.element.contains(element) &&
+           element.parentElement?.closest('[data-controller~="stream-animation"]') === this.element
+  }
+
+  fieldValues(row) {
+    const values = {}
+    row.querySelectorAll("[data-stream-field]").forEach(field => {
+      values[field.dataset.streamField] = field.textContent.trim()
+    })
+    return values
+  }
+
+  // The replaced row is a new element: look it up again by id
+  flashChanges({ id, fields, text }) {
+    const row = id && document.getElementById(id)
+    if (!row || !this.element.contains(row)) return
+
+    const changed = Array.from(row.querySelectorAll("[data-stream-field]"))
+      .filter(field => fields[field.dataset.streamField] !== field.textContent.trim())
+
+    if (changed.length > 0) {
+      changed.forEach(field => this.flash(field))
+    } else if (Object.keys(fields).length === 0 && row.textContent !== text) {
+      this.flash(row)
+    }
+  }
+
+  flash(element) {
+    element.classList.remove("stream-field-changed")
+    // Restart the animation when the same field changes again
+    void element.offsetWidth
+    element.classList.add("stream-field-changed")
+    setTimeout(() => element.classList.remove("stream-field-changed"), 1500)
+  }
+
+  animateEnter(row) {
+    if (this.prefersReducedMotion()) {
+      if (this.highlightValue) highlight(row)
+      return
+    }
+
+    row.style.opacity = "0"
+    row.style.transform = "translateY(-12px)"
+
+    requestAnimationFrame(() => {
+      row.style.transition = "opacity 0.3s ease-out, transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)"
+      row.style.opacity = "1"
+      row.style.transform = "translateY(0)"
+
+      setTimeout(() => {
+        row.style.transition = ""
+        row.style.transform = ""
+        row.style.opacity = ""
+        if (this.highlightValue) highlight(row)
+      }, 300)
+    })
+  }
+
+  // Resolves when the row is collapsed; the caller removes it
+  animateLeave(row) {
+    // Already collapsed by a pending swipe deletion, or no motion wanted
+    if (row.dataset.pendingDeletion || this.prefersReducedMotion()) return Promise.resolve()
+
+    const fadeDuration = Math.round(this.durationValue * 0.6)
+    const collapseDuration = this.durationValue - fadeDuration
+    const originalHeight = row.offsetHeight
+
+    row.style.position = "relative"
+    row.style.transition = `all ${fadeDuration}ms cubic-bezier(0.4, 0, 0.2, 1)`
+
+    // Force reflow
+    row.offsetHeight
+
+    // Phase 1: Fade and slide out with a light red flash
+    requestAnimationFrame(() => {
+      row.style.opacity = "0"
+      row.style.transform = "translateX(20px)"
+      row.style.backgroundColor = "#fee2e2"
+    })
+
+    return new Promise(resolve => {
+      // Phase 2: Collapse height
+      setTimeout(() => {
+        row.style.height = `${originalHeight}px`
+        row.style.overflow = "hidden"
+        row.style.transition = `all ${collapseDuration}ms cubic-bezier(0.4, 0, 0.2, 1)`
+
+        requestAnimationFrame(() => {
+          row.style.height = "0"
+          row.style.paddingTop = "0"
+          row.style.paddingBottom = "0"
+          row.style.borderTopWidth = "0"
+          row.style.borderBottomWidth = "0"
+        })
+
+        setTimeout(resolve, collapseDuration)
+      }, fadeDuration)
+    })
+  }
+
+  prefersReducedMotion() {
+    return window.matchMedia("(prefers-reduced-motion: reduce)").matches
+  }
+}
@@ -0,0 +1,618 @@
+// frozen_string_literal: true
+
+import { Controller } from "@hotwired/stimulus"
+import { scheduleDeletion, performAction, isPendingDeletion } from "lib/pending_deletions"
+
+// Connects to data-controller="swipe-actions"
+//
+// iOS-style swipe actions for list rows on touch devices. Each side of the
+// row declares its own actions:
+//
+// - leading actions sit on the left edge and are revealed by swiping right
+// - trailing actions sit on the right edge and are revealed by swiping left
+//
+// A short swipe opens the side so its buttons can be tapped; a long swipe
+// runs the side's "full" action straight away (swipe right to delete).
+// The gesture uses Pointer Events, so it works with touch, mouse and pen;
+// the card has touch-action: pan-y so vertical scrolling stays native.
+//
+// Keyboard: the card is focusable. Right/Left arrow reveal the leading /
+// trailing actions and focus the first button, Delete runs the delete action
+// (same undo window as the swipe), Escape closes the row.
+//
+// Each action is a JSON object:
+//   label  - button text, also used in the undo bar and toasts
+//   icon   - trash, ban, flag, hash, pencil, move, check (see ICONS)
+//   color  - red, yellow, gray, green, blue, navy or any CSS color
+//   url    - where the request goes
+//   method - delete, patch, post, put (default post)
+//   params - form params sent with the request ({ status: "dns" })
+//   undo   - wait out the undo window first (lib/pending_deletions)
+//   full   - run this action on a full swipe
+//   kind   - outbox kind when queued offline
+//
+// Requests go through lib/pending_deletions: deletes with undo collapse the
+// row while the undo bar counts down (see pending_deletions_controller), the
+// server's Turbo Stream response is rendered, refusals show the server's
+// reason in a toast and offline requests are queued in the outbox.
+// The element needs an id: pending actions find their row by it.
+//
+// Usage (the delete-only configuration):
+//   <div id="participation_12"
+//        data-controller="swipe-actions"
+//        data-swipe-actions-name-value="Jane DOE"
+//        data-swipe-actions-leading-value='[{"label":"Delete","icon":"trash","color":"red",
+//          "url":"/admin/.../participations/12","method":"delete","undo":true,"full":true}]'
+//        data-swipe-actions-trailing-value='[{"label":"DNS","icon":"ban","color":"gray",
+//          "url":"/admin/.../participations/12","method":"patch","params":{"status":"dns"}}]'>
+//     <div data-swipe-actions-target="card"
+//          data-action="pointerdown->swipe-actions#pointerDown
+//                      pointermove->swipe-actions#pointerMove
+//                      pointerup->swipe-actions#pointerUp
+//                      pointercancel->swipe-actions#pointerCancel
+//                      keydown->swipe-actions#keydown">
+//       Card content
+//     </div>
+//   </div>
+//
+export default class extends Controller {
+  static targets = ["card"]
+  static values = {
+    name: String,
+    leading: { type: Array, default: [] },
+    trailing: { type: Array, default: [] },
+    actionWidth: { type: Number, default: 80 },       // Width of one revealed button
+    openThreshold: { type: Number, default: 60 },     // Pixels to swipe to stay open
+    fullSwipeThreshold: { type: Number, default: 100 } // Pixels to swipe for the full action
+  }
+
+  connect() {
+    this.startX = 0
+    this.currentX = 0
+    this.offset = 0
+    this.isDragging = false
+    this.isBusy = false
+
+    this.renderPanels()
+
+    // Undo (or a refused delete) brings the row back
+    this.handleRestored = this.handleRestored.bind(this)
+    this.element.addEventListener("pending-deletions:restored", this.handleRestored)
+  }
+
+  disconnect() {
+    // A pending action keeps running in lib/pending_deletions
+    this.element.removeEventListener("pending-deletions:restored", this.handleRestored)
+    this.reset()
+  }
+
+  leadingValueChanged() {
+    if (this.panels) this.renderPanels()
+  }
+
+  trailingValueChanged() {
+    if (this.panels) this.renderPanels()
+  }
+
+  // ---------------------------------------------------------------------------
+  // Panels
+  // ---------------------------------------------------------------------------
+
+  renderPanels() {
+    this.element.querySelectorAll(":scope > [data-swipe-actions-panel]").forEach(panel => panel.remove())
+
+    this.panels = {
+      leading: this.buildPanel("leading", this.leadingValue),
+      trailing: this.buildPanel("trailing", this.trailingValue)
+    }
+
+    this.setupAccessibility()
+  }
+
+  buildPanel(side, actions) {
+    if (actions.length === 0) return null
+
+    const panel = document.createElement("div")
+    panel.dataset.swipeActionsPanel = side
+    panel.className = `absolute inset-y-0 ${side === "leading" ? "left-0" : "right-0 flex-row-reverse"} flex overflow-hidden`
+    panel.style.width = "0px"
+    panel.inert = true // Closed panels are out of the tab order
+    panel.setAttribute("role", "group")
+    panel.setAttribute("aria-label", `${side === "leading" ? "Right" : "Left"} swipe actions`)
+    panel.innerHTML = actions.map((action, index) => this.actionHtml(side, action, index)).join("")
+
+    // Custom colors go through the style API: invalid values are dropped
+    // instead of ending up in the markup
+    panel.querySelectorAll("button").forEach((button, index) => {
+      if (!COLORS[actions[index].color || "gray"]) {
+        button.style.backgroundColor = actions[index].color
+      }
+    })
+
+    this.element.insertBefore(panel, this.cardTarget)
+    return panel
+  }
+
+  actionHtml(side, action, index) {
+    const color = COLORS[action.color || "gray"]
+
+    return `
+      <button type="button"
+              class="flex-1 min-w-0 flex flex-col items-center justify-center px-2 ${color || "text-white"}"
+              aria-label="${this.escapeHtml(`${action.label} ${this.nameValue}`.trim())}"
+              data-action="swipe-actions#perform keydown->swipe-actions#actionKeydown"
+              data-swipe-actions-side-param="${side}"
+              data-swipe-actions-index-param="${index}">
+        ${ICONS[action.icon] ? `
+          <svg class="w-7 h-7" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="${ICONS[action.icon]}" />
+          </svg>
+        ` : ""}
+        <span class="text-xs font-bold mt-1 truncate max-w-full">${this.escapeHtml(action.label)}</span>
+      </button>
+    `
+  }
+
+  actionsFor(side) {
+    return side === "leading" ? this.leadingValue : this.trailingValue
+  }
+
+  // Swiping right (positive offset) reveals the leading side
+  sideFor(offset) {
+    if (offset > 0) return "leading"
+    if (offset < 0) return "trailing"
+    return null
+  }
+
+  openWidth(side) {
+    return this.actionsFor(side).length * this.actionWidthValue
+  }
+
+  fullAction(side) {
+    return this.actionsFor(side).find(action => action.full)
+  }
+
+  // Never closer to the open width than 40px, so opening doesn't trigger it
+  fullThreshold(side) {
+    return Math.max(this.fullSwipeThresholdValue, this.openWidth(side) + 40)
+  }
+
+  // ---------------------------------------------------------------------------
+  // Pointer handling (touch, mouse and pen)
+  // ---------------------------------------------------------------------------
+
+  pointerDown(event) {
+    if (this.isBusy || this.pointerId != null) return
+    // Primary button only for mouse
+    if (event.pointerType === "mouse" && event.button !== 0) return
+
+    // Record the starting position
+    this.pointerId = event.pointerId
+    this.startX = event.clientX
+    this.startY = event.clientY
+    this.currentX = this.startX
+    this.currentY = this.startY
+    this.isDragging = true
+    this.isHorizontalSwipe = null // Will be determined on first move
+
+    // Track from the current position (the row may already be open)
+    this.startOffset = this.offset
+  }
+
+  pointerMove(event) {
+    if (!this.isDragging || this.isBusy || event.pointerId !== this.pointerId) return
+
+    this.currentX = event.clientX
+    this.currentY = event.clientY
+    const deltaX = this.currentX - this.startX
+    const deltaY = this.currentY - this.startY
+
+    // Determine swipe direction on first move beyond threshold (5px)
+    if (this.isHorizontalSwipe === null) {
+      const moveDistance = Math.sqrt(deltaX * deltaX + deltaY * deltaY)
+
+      if (moveDistance > 5) {
+        // Determine if this is primarily horizontal or vertical movement
+        this.isHorizontalSwipe = Math.abs(deltaX) > Math.abs(deltaY)
+
+        // If it's vertical, stop tracking immediately to allow scroll
+        if (!this.isHorizontalSwipe) {
+          this.endPointer()
+          return
+        }
+
+        // Confirmed horizontal swipe - keep receiving moves even when the
+        // pointer leaves the row, and drag without animation lag
+        this.cardTarget.setPointerCapture(event.pointerId)
+        this.cardTarget.style.userSelect = "none" // No text selection while dragging with a mouse
+        this.cardTarget.style.transition = "none"
+        this.eachPanel(panel => { panel.style.transition = "none" })
+      } else {
+        // Not enough movement yet, don't do anything
+        return
+      }
+    }
+
+    this.moveTo(this.constrain(this.startOffset + deltaX))
+
+    // Haptic feedback when the full action arms
+    const armed = this.isArmed()
+    if (armed && !this.hasVibratedAtThreshold) {
+      if (navigator.vibrate) {
+        navigator.vibrate(30)
+      }
+      this.hasVibratedAtThreshold = true
+    } else if (!armed) {
+      this.hasVibratedAtThreshold = false
+    }
+  }
+
+  pointerUp(event) {
+    if (event.pointerId !== this.pointerId) return
+
+    const wasSwiping = this.isDragging && this.isHorizontalSwipe
+    this.endPointer()
+    if (!wasSwiping || this.isBusy) return
+
+    // The click that follows a drag must not activate the card's content
+    this.suppressNextClick()
+
+    const side = this.sideFor(this.offset)
+    const distance = Math.abs(this.offset)
+
+    // Re-enable transition for smooth animation
+    this.setTransition("transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)")
+
+    if (side && this.isArmed()) {
+      // Swipe went past the full threshold - run the side's full action
+      this.run(side, this.fullAction(side))
+    } else if (side && distance > this.openThresholdValue) {
+      // Swipe exceeded open threshold - stay open
+      this.open(side)
+    } else {
+      // Swipe was too short or went back - close
+      this.close()
+    }
+  }
+
+  // The browser took over (scrolling, system gesture) - snap back
+  pointerCancel(event) {
+    if (event.pointerId !== this.pointerId) return
+
+    const wasSwiping = this.isDragging && this.isHorizontalSwipe
+    this.endPointer()
+
+    if (wasSwiping && !this.isBusy) {
+      this.setTransition("transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)")
+      this.close()
+    }
+  }
+
+  endPointer() {
+    if (this.pointerId != null && this.cardTarget.hasPointerCapture?.(this.pointerId)) {
+      this.cardTarget.releasePointerCapture(this.pointerId)
+    }
+
+    this.cardTarget.style.userSelect = ""
+    this.pointerId = null
+    this.isDragging = false
+    this.isHorizontalSwipe = null // Reset for next interaction
+  }
+
+  suppressNextClick() {
+    const handler = (event) => {
+      event.preventDefault()
+      event.stopPropagation()
+    }
+
+    this.cardTarget.addEventListener("click", handler, { capture: true, once: true })
+    setTimeout(() => this.cardTarget.removeEventListener("click", handler, { capture: true }), 0)
+  }
+
+  // ---------------------------------------------------------------------------
+  // Keyboard
+  // ---------------------------------------------------------------------------
+
+  // Focused row: → / ← reveal the leading / trailing actions, Delete runs the
+  // delete action (with its usual undo window), Escape closes
+  keydown(event) {
+    if (this.isBusy || event.target !== this.cardTarget) return
+
+    switch (event.key) {
+      case "ArrowRight":
+        if (this.actionsFor("leading").length === 0) return
+        event.preventDefault()
+        this.openFromKeyboard("leading")
+        break
+      case "ArrowLeft":
+        if (this.actionsFor("trailing").length === 0) return
+        event.preventDefault()
+        this.openFromKeyboard("trailing")
+        break
+      case "Delete":
+      case "Backspace": {
+        const target = this.deleteAction()
+        if (!target) return
+        event.preventDefault()
+        this.focusNeighbour()
+        this.setTransition("transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)")
+        this.run(target.side, target.action)
+        break
+      }
+      case "Escape":
+        if (this.offset === 0) return
+        event.preventDefault()
+        this.closeAndFocus()
+        break
+    }
+  }
+
+  // Escape on a revealed button closes the row and returns to it
+  actionKeydown(event) {
+    if (event.key !== "Escape") return
+
+    event.preventDefault()
+    this.closeAndFocus()
+  }
+
+  openFromKeyboard(side) {
+    this.setTransition("transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)")
+    this.open(side)
+    this.panels[side]?.querySelector("button")?.focus()
+  }
+
+  closeAndFocus() {
+    this.setTransition("transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)")
+    this.close()
+    this.cardTarget.focus()
+  }
+
+  // Keep keyboard users in the list when their row goes away
+  focusNeighbour() {
+    const row = this.element.nextElementSibling || this.element.previousElementSibling
+    row?.querySelector("[data-swipe-actions-target='card']")?.focus()
+  }
+
+  deleteAction() {
+    for (const side of ["leading", "trailing"]) {
+      const action = this.actionsFor(side).find(action => (action.method || "").toLowerCase() === "delete")
+      if (action) return { side, action }
+    }
+    return null
+  }
+
+  // Focusable card that announces how to reach the actions
+  setupAccessibility() {
+    const card = this.cardTarget
+    const hintId = `${this.element.id || "swipe-actions"}_hint`
+
+    card.style.touchAction = "pan-y"
+    if (!card.hasAttribute("tabindex")) card.tabIndex = 0
+
+    const shortcuts = []
+    if (this.actionsFor("leading").length > 0) shortcuts.push("ArrowRight")
+    if (this.actionsFor("trailing").length > 0) shortcuts.push("ArrowLeft")
+    if (this.deleteAction()) shortcuts.push("Delete")
+    card.setAttribute("aria-keyshortcuts", shortcuts.join(" "))
+
+    let hint = document.getElementById(hintId)
+    if (!hint) {
+      hint = document.createElement("span")
+      hint.id = hintId
+      hint.className = "sr-only"
+      this.element.appendChild(hint)
+    }
+    hint.textContent = this.hintText()
+    card.setAttribute("aria-describedby", hintId)
+  }
+
+  hintText() {
+    const parts = []
+    const leading = this.actionsFor("leading").map(action => action.label)
+    const trailing = this.actionsFor("trailing").map(action => action.label)
+
+    if (leading.length > 0) parts.push(`Right arrow: ${leading.join(", ")}`)
+    if (trailing.length > 0) parts.push(`Left arrow: ${trailing.join(", ")}`)
+    if (this.deleteAction()) parts.push("Delete key: delete")
+
+    return parts.join(". ")
+  }
+
+  // Sides without actions don't move; past the open width only sides with a
+  // full action follow the finger, with a rubber-band effect
+  constrain(offset) {
+    const side = this.sideFor(offset)
+    if (!side || this.actionsFor(side).length === 0) return 0
+
+    const sign = Math.sign(offset)
+    const distance = Math.abs(offset)
+    const limit = this.fullAction(side) ? this.fullThreshold(side) : this.openWidth(side)
+
+    if (distance <= limit) return offset
+
+    return sign * (limit + (distance - limit) * 0.3)
+  }
+
+  isArmed() {
+    const side = this.sideFor(this.offset)
+    return Boolean(side && this.fullAction(side) && Math.abs(this.offset) > this.fullThreshold(side))
+  }
+
+  moveTo(offset) {
+    this.offset = offset
+    this.cardTarget.style.transform = `translateX(${offset}px)`
+
+    const side = this.sideFor(offset)
+    const armed = this.isArmed()
+
+    this.eachPanel((panel, panelSide) => {
+      panel.style.width = panelSide === side ? `${Math.abs(offset)}px` : "0px"
+      panel.inert = panelSide !== side
+
+      // Armed: the full action takes over the whole panel
+      panel.querySelectorAll("button").forEach((button, index) => {
+        const action = this.actionsFor(panelSide)[index]
+        button.hidden = armed && panelSide === side && !action.full
+      })
+    })
+  }
+
+  setTransition(transition) {
+    this.cardTarget.style.transition = transition
+    this.eachPanel(panel => {
+      panel.style.transition = transition.replace("transform", "width")
+    })
+  }
+
+  eachPanel(callback) {
+    Object.entries(this.panels || {}).forEach(([side, panel]) => {
+      if (panel) callback(panel, side)
+    })
+  }
+
+  open(side) {
+    const width = this.openWidth(side)
+    this.moveTo(side === "leading" ? width : -width)
+
+    // Add click-outside listener to close
+    this.removeClickOutside()
+    this.boundHandleClickOutside = this.handleClickOutside.bind(this)
+    setTimeout(() => {
+      document.addEventListener("click", this.boundHandleClickOutside, true)
+    }, 100)
+  }
+
+  close() {
+    this.moveTo(0)
+    this.removeClickOutside()
+  }
+
+  removeClickOutside() {
+    if (this.boundHandleClickOutside) {
+      document.removeEventListener("click", this.boundHandleClickOutside, true)
+      this.boundHandleClickOutside = null
+    }
+  }
+
+  reset() {
+    this.close()
+    this.isDragging = false
+    this.isBusy = false
+    this.hasVibratedAtThreshold = false
+  }
+
+  handleClickOutside(event) {
+    // Close if clicked outside the row
+    if (!this.element.contains(event.target)) {
+      this.close()
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  // Tap on a revealed action button
+  perform(event) {
+    const { side, index } = event.params
+    this.run(side, this.actionsFor(side)[index])
+  }
+
+  async run(side, action) {
+    if (this.isBusy || !action) return
+
+    if (!this.element.id) {
+      console.error("swipe-actions needs an element id to track pending actions")
+      this.close()
+      return
+    }
+
+    // One pending action per row
+    if (isPendingDeletion(this.element.id)) {
+      this.close()
+      return
+    }
+
+    const method = (action.method || "post").toUpperCase()
+    const collapse = method === "DELETE"
+
+    this.isBusy = true
+    this.removeClickOutside()
+
+    // Haptic feedback
+    if (navigator.vibrate) {
+      navigator.vibrate(collapse ? [50, 100, 50] : 50)
+    }
+
+    if (collapse) {
+      // Animate card fully off screen on the side's direction
+      this.setTransition("transform 0.4s cubic-bezier(0.4, 0, 0.2, 1)")
+      this.cardTarget.style.transform = `translateX(${side === "leading" ? "100%" : "-100%"})`
+      this.eachPanel((panel, panelSide) => {
+        panel.style.width = panelSide === side ? "100%" : "0px"
+      })
+
+      // Wait for animation to complete
+      await new Promise(resolve => setTimeout(resolve, 400))
+    } else {
+      this.close()
+    }
+
+    const options = {
+      id: this.element.id,
+      url: action.url,
+      name: this.nameValue,
+      label: action.label,
+      kind: action.kind || (collapse ? "delete" : "swipe_action"),
+      method,
+      params: action.params || {}
+    }
+
+    if (action.undo) {
+      // Start the undo window; the row collapses for deletes
+      scheduleDeletion(options)
+    } else {
+      await performAction(options)
+    }
+
+    // Deletes stay busy until the row is gone or restored
+    if (!collapse) this.isBusy = false
+  }
+
+  handleRestored() {
+    // Slide the card back in
+    this.setTransition("transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)")
+    this.moveTo(0)
+
+    // Reset state
+    this.isBusy = false
+  }
+
+  // Also used inside attribute values, so quotes are escaped too
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML.replace(/"/g, "&quot;")
+  }
+}
+
+// Background and text classes per named color
+const COLORS = {
+  red: "bg-red-600 text-white",
+  yellow: "bg-yellow-500 text-gray-900",
+  gray: "bg-gray-600 text-white",
+  green: "bg-green-600 text-white",
+  blue: "bg-blue-600 text-white",
+  navy: "bg-ismf-navy text-white"
+}
+
+// Heroicons (outline) paths
+const ICONS = {
+  trash: "M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16",
+  ban: "M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636",
+  flag: "M3 21v-4m0 0V5a2 2 0 012-2h6.5l1 1H21l-3 6 3 6h-8.5l-1-1H5a2 2 0 00-2 2zm9-13.5V9",
+  hash: "M7 20l4-16m2 16l4-16M6 9h14M4 15h14",
+  pencil: "M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z",
+  move: "M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4",
+  check: "M5 13l4 4L19 7"
+}
@@ -0,0 +1,151 @@
+// frozen_string_literal: true
+
+import { Controller } from "@hotwired/stimulus"
+import { currentToasts, dismissToast, runToastAction, pauseToast, resumeToast } from "lib/toasts"
+
+const ICONS = {
+  success: { color: "text-green-400", path: "M5 13l4 4L19 7" },
+  error: { color: "text-red-400", path: "M6 18L18 6M6 6l12 12" },
+  info: { color: "text-blue-300", path: "M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" },
+  undo: { color: "text-yellow-400", path: "M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" }
+}
+
+// Connects to data-controller="toasts"
+//
+// Renders the toast stack (lib/toasts) in the top right corner. Lives in the
+// layout, so it is rebuilt on every Turbo visit from the module's state.
+// Toasts already on screen are kept (no re-animation); new ones slide in and
+// dismissed ones slide out.
+//
+// - Touch (or hover) a toast to pause its countdown
+// - Tap x to dismiss, or the action button (Undo, Open...) to run it
+//
+// Usage:
+//   <div data-controller="toasts"></div>
+//
+export default class extends Controller {
+  connect() {
+    this.render = this.render.bind(this)
+    window.addEventListener("toasts:changed", this.render)
+
+    this.element.className = "fixed top-3 right-4 z-[60] flex flex-col items-end gap-2 w-[min(28rem,calc(100%-2rem))] pointer-events-none"
+    this.render()
+  }
+
+  disconnect() {
+    window.removeEventListener("toasts:changed", this.render)
+  }
+
+  dismiss(event) {
+    dismissToast(event.params.id)
+  }
+
+  run(event) {
+    runToastAction(event.params.id)
+
+    // Haptic feedback
+    if (navigator.vibrate) {
+      navigator.vibrate(50)
+    }
+  }
+
+  pause(event) {
+    pauseToast(event.params.id)
+  }
+
+  // A finger lifting off resumes; a mouse resumes when it leaves the toast
+  resume(event) {
+    if (event.type === "pointerup" && event.pointerType === "mouse") return
+    resumeToast(event.params.id)
+  }
+
+  render() {
+    const toasts = currentToasts()
+    const ids = new Set(toasts.map(toast => toast.id))
+
+    // Slide out the ones that were dismissed
+    this.element.querySelectorAll("[data-toast-id]").forEach(element => {
+      if (!ids.has(element.dataset.toastId) && !element.dataset.leaving) this.leave(element)
+    })
+
+    toasts.forEach(toast => {
+      const existing = this.element.querySelector(`[data-toast-id="${CSS.escape(toast.id)}"]`)
+      if (existing) {
+        existing.classList.toggle("ring-2", toast.paused)
+        return
+      }
+      this.enter(this.buildToast(toast))
+    })
+  }
+
+  enter(element) {
+    element.style.opacity = "0"
+    element.style.transform = "translateX(20px)"
+    this.element.appendChild(element)
+
+    requestAnimationFrame(() => {
+      element.style.transition = "all 0.3s cubic-bezier(0.4, 0, 0.2, 1)"
+      element.style.opacity = "1"
+      element.style.transform = "translateX(0)"
+    })
+  }
+
+  leave(element) {
+    element.dataset.leaving = "true"
+    element.style.transition = "all 0.3s cubic-bezier(0.4, 0, 0.2, 1)"
+    element.style.opacity = "0"
+    element.style.transform = "translateX(20px)"
+    setTimeout(() => element.remove(), 300)
+  }
+
+  buildToast(toast) {
+    const icon = ICONS[toast.type]
+    const id = this.escapeHtml(toast.id)
+    const element = document.createElement("div")
+
+    element.dataset.toastId = toast.id
+    element.className = "pointer-events-auto w-full bg-gray-900 text-white px-5 py-3 rounded-xl shadow-2xl flex items-center gap-3 ring-white/40"
+    element.setAttribute("role", toast.type === "error" ? "alert" : "status")
+    element.setAttribute("data-action", [
+      "pointerenter->toasts#pause",
+      "pointerdown->toasts#pause",
+      "pointerleave->toasts#resume",
+      "pointerup->toasts#resume",
+      "pointercancel->toasts#resume"
+    ].join(" "))
+    element.setAttribute("data-toasts-id-param", toast.id)
+
+    element.innerHTML = `
+      <svg class="w-6 h-6 shrink-0 ${icon.color}" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="${icon.path}" />
+      </svg>
+      <span class="flex-1 min-w-0 text-lg font-bold">${this.escapeHtml(toast.message)}</span>
+      ${toast.action ? `
+        <button type="button"
+                class="min-h-[48px] px-4 bg-yellow-500 active:bg-yellow-700 text-gray-900 text-base font-bold rounded-lg shrink-0"
+                data-action="toasts#run"
+                data-toasts-id-param="${id}">
+          ${this.escapeHtml(toast.action.label)}
+        </button>
+      ` : ""}
+      <button type="button"
+              class="min-w-[44px] min-h-[44px] -mr-2 flex items-center justify-center text-gray-400 active:text-white shrink-0"
+              aria-label="Dismiss"
+              data-action="toasts#dismiss"
+              data-toasts-id-param="${id}">
+        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="M6 18L18 6M6 6l12 12" />
+        </svg>
+      </button>
+    `
+
+    return element
+  }
+
+  // Also used inside attribute values, so quotes are escaped too
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML.replace(/"/g, "&quot;")
+  }
+}
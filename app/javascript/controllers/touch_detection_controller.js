@@ -1,55 +1,169 @@
 import { Controller } from "@hotwired/stimulus"
+import { isConfirmDialogOpen } from "lib/confirm_dialog"
+
+// Known touch screens, matched on screen size (CSS px, not affected by browser
+// zoom or the window size) before the generic pointer check
+const DEFAULT_PROFILES = [
+  // Raspberry Pi Touch Display 2 (720×1280 panel), landscape and portrait
+  { name: "pi-touch-display-2", touch: true, minTouchPoints: 1, orientation: "landscape", minWidth: 1200, maxWidth: 1400, minHeight: 650, maxHeight: 820 },
+  { name: "pi-touch-display-2-portrait", touch: true, minTouchPoints: 1, orientation: "portrait", minWidth: 650, maxWidth: 820, minHeight: 1200, maxHeight: 1400 }
+]
+
+// Automatic switches, kept per tab so resizing back and forth cannot reload in a loop
+const SWITCHED_AT_KEY = "touch-detection:switched-at"
+const SWITCH_COOLDOWN = 10000
 
 // Touch Detection controller for automatic device detection
 //
-// Automatically detects 1280×720 screen (Raspberry Pi Touch Display 2 in landscape)
-// and sets a persistent cookie to enable touch mode.
+// Decides between the touch and desktop layouts from what the device can do,
+// stores the choice in the touch_display cookie (read by the server) and
+// reloads when the current page was rendered in the other mode.
 //
 // Usage:
 //   <body data-controller="touch-detection">
 //
+//   <body data-controller="touch-detection"
+//         data-touch-detection-profiles-value='[{ "name": "kiosk", "touch": true, "minWidth": 1900, "maxWidth": 1920 }]'>
+//
 // Detection priority:
-//   1. URL parameter (?touch=1)
-//   2. Cookie (touch_display=1)
-//   3. Screen size detection (1280×720 landscape)
-//   4. Default (desktop)
+//   1. URL parameter (?touch=1 or ?touch=0) - locks the choice (manual)
+//   2. Manual choice (enableTouch / disableTouch actions, or an earlier ?touch=)
+//   3. Device profiles: first profile whose conditions all match
+//      (minWidth/maxWidth/minHeight/maxHeight of the screen, orientation,
+//      coarse pointer, minTouchPoints) decides with its `touch`
+//   4. Primary pointer is coarse and the device reports touch points
+//   5. Default (desktop)
+//
+// Automatic choices are re-evaluated on resize, orientation and pointer
+// changes. A reload only follows a changed cookie, so when the server keeps
+// rendering the other mode (the Raspberry Pi user agent is always touch)
+// nothing happens; while the user is typing or confirming, the new mode waits
+// for the next page.
 //
 export default class extends Controller {
+  static values = {
+    profiles: { type: Array, default: DEFAULT_PROFILES }
+  }
+
   connect() {
     console.log("📱 Touch detection controller connected")
-    
-    // Only detect if no cookie is set
-    if (!this.hasCookie("touch_display")) {
-      this.detectScreenSize()
-    } else {
-      console.log("🍪 Touch mode cookie already set:", this.getCookie("touch_display"))
+
+    this.scheduleEvaluate = this.scheduleEvaluate.bind(this)
+
+    if (this.applyUrlParameter()) return
+
+    this.coarseQuery = window.matchMedia("(pointer: coarse)")
+    this.coarseQuery.addEventListener("change", this.scheduleEvaluate)
+    window.addEventListener("resize", this.scheduleEvaluate)
+    screen.orientation?.addEventListener("change", this.scheduleEvaluate)
+
+    this.evaluate()
+  }
+
+  disconnect() {
+    this.coarseQuery?.removeEventListener("change", this.scheduleEvaluate)
+    window.removeEventListener("resize", this.scheduleEvaluate)
+    screen.orientation?.removeEventListener("change", this.scheduleEvaluate)
+    clearTimeout(this.evaluateTimeout)
+  }
+
+  get renderedTouch() {
+    return this.element.classList.contains("touch-mode")
+  }
+
+  // ?touch=1 / ?touch=0: the server already rendered that mode, remember it was chosen
+  applyUrlParameter() {
+    const param = new URLSearchParams(window.location.search).get("touch")
+    if (param !== "1" && param !== "0") return false
+
+    console.log(`🔗 Touch mode ${param === "1" ? "enabled" : "disabled"} by URL parameter`)
+    this.storeChoice(param, "manual")
+    return true
+  }
+
+  // Resizing fires continuously: decide once it settles
+  scheduleEvaluate() {
+    clearTimeout(this.evaluateTimeout)
+    this.evaluateTimeout = setTimeout(() => this.evaluate(), 500)
+  }
+
+  evaluate() {
+    if (this.getCookie("touch_display_source") === "manual") {
+      console.log("🍪 Touch mode chosen manually:", this.getCookie("touch_display"))
+      return
+    }
+
+    const { touch, reason } = this.detect()
+    const value = touch ? "1" : "0"
+    console.log(`📏 ${touch ? "Touch" : "Desktop"} display detected (${reason})`)
+
+    const cookieChanged = this.getCookie("touch_display") !== value
+    if (cookieChanged) this.storeChoice(value, "auto")
+
+    if (touch === this.renderedTouch) return
+
+    // Same cookie as the request that rendered this page: the server chose otherwise
+    if (!cookieChanged) return
+
+    if (this.userIsBusy()) {
+      console.log("⌨️ Touch mode changes on the next page (user is busy)")
+      return
     }
+
+    if (this.switchedRecently()) {
+      console.log("⏸️ Touch mode switched moments ago - not reloading again")
+      return
+    }
+
+    sessionStorage.setItem(SWITCHED_AT_KEY, String(Date.now()))
+    console.log("🔄 Reloading page to apply the detected mode...")
+    window.location.reload()
   }
 
-  detectScreenSize() {
-    const width = window.innerWidth
-    const height = window.innerHeight
-    
-    console.log(`📏 Screen size: ${width}×${height}`)
-    
-    // Detect 1280×720 (Pi Touch Display 2 in landscape mode)
-    // Native resolution: 720×1280 (portrait), rotated to 1280×720 (landscape)
-    const isTouch = (width === 1280 && height === 720)
-    
-    if (isTouch) {
-      console.log("✅ Pi touch display detected! Setting cookie...")
-      this.setCookie("touch_display", "1", 365)
-      
-      // Reload to apply touch mode
-      console.log("🔄 Reloading page to apply touch mode...")
-      window.location.reload()
-    } else {
-      console.log("🖥️ Desktop display detected (no touch mode)")
+  detect() {
+    const screenInfo = {
+      width: screen.width,
+      height: screen.height,
+      orientation: screen.width >= screen.height ? "landscape" : "portrait",
+      coarse: window.matchMedia("(pointer: coarse)").matches,
+      touchPoints: navigator.maxTouchPoints || 0
+    }
+
+    const profile = this.profilesValue.find(candidate => this.matchesProfile(candidate, screenInfo))
+    if (profile) {
+      return { touch: Boolean(profile.touch), reason: `profile ${profile.name || "unnamed"}` }
     }
+
+    const touch = screenInfo.coarse && screenInfo.touchPoints > 0
+    return { touch, reason: `pointer ${screenInfo.coarse ? "coarse" : "fine"}, ${screenInfo.touchPoints} touch points` }
+  }
+
+  matchesProfile(profile, { width, height, orientation, coarse, touchPoints }) {
+    if (profile.minWidth != null && width < profile.minWidth) return false
+    if (profile.maxWidth != null && width > profile.maxWidth) return false
+    if (profile.minHeight != null && height < profile.minHeight) return false
+    if (profile.maxHeight != null && height > profile.maxHeight) return false
+    if (profile.orientation && profile.orientation !== orientation) return false
+    if (profile.coarse != null && profile.coarse !== coarse) return false
+    if (profile.minTouchPoints != null && touchPoints < profile.minTouchPoints) return false
+    return true
+  }
+
+  // Typing or confirming: a reload would throw that away
+  userIsBusy() {
+    const active = document.activeElement
+    return isConfirmDialogOpen() ||
+           active?.matches?.("input:not([type=hidden]), textarea, select, [contenteditable]")
+  }
+
+  switchedRecently() {
+    const switchedAt = Number(sessionStorage.getItem(SWITCHED_AT_KEY) || 0)
+    return Date.now() - switchedAt < SWITCH_COOLDOWN
   }
 
-  hasCookie(name) {
-    return document.cookie.split("; ").some(row => row.startsWith(`${name}=`))
+  storeChoice(value, source) {
+    this.setCookie("touch_display", value, 365)
+    this.setCookie("touch_display_source", source, 365)
   }
 
   getCookie(name) {
@@ -68,7 +182,7 @@ export default class extends Controller {
   enableTouch(event) {
     event.preventDefault()
     console.log("👆 Manually enabling touch mode...")
-    this.setCookie("touch_display", "1", 365)
+    this.storeChoice("1", "manual")
     window.location.reload()
   }
 
@@ -77,7 +191,7 @@ export default class extends Controller {
   disableTouch(event) {
     event.preventDefault()
     console.log("🖱️ Manually disabling touch mode...")
-    this.setCookie("touch_display", "0", 365)
+    this.storeChoice("0", "manual")
     window.location.reload()
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,391 @@
+// Confirmation dialog (touch modal or desktop modal), Promise-based
+//
+// One dialog for every "are you sure?" in the app:
+// - touch-confirm buttons (controllers/touch_confirm_controller)
+// - any form or link with data-turbo-confirm: registered as Turbo's confirm
+//   method, so the native window.confirm (which looks broken in the kiosk)
+//   is never shown
+//
+// Touch layouts (<body class="touch-mode">) get the large touch modal, other
+// layouts a compact admin-styled one. Both trap focus, cancel on Escape or a
+// tap on the backdrop and give focus back to the element that opened them.
+//
+// With confirmText the confirm button stays disabled until that text is typed
+// (the on-screen keyboard opens on the input in touch mode).
+//
+// Usage:
+//   import { confirmDialog } from "lib/confirm_dialog"
+//
+//   if (await confirmDialog({ title: "Delete race", message: "Delete Sprint?", tone: "destructive" })) { ... }
+//
+//   <%= button_to "Delete", path, method: :delete,
+//       data: { turbo_confirm: "Delete this competition?",
+//               turbo_confirm_title: "Delete competition",
+//               turbo_confirm_label: "Delete competition",
+//               turbo_confirm_details: ["12 races"].to_json,
+//               turbo_confirm_text: competition.name } %>
+//
+// data-turbo-confirm-* attributes are read from the submit button first, then
+// the form. The tone defaults to destructive for DELETE forms, primary
+// otherwise. A typed confirmation is submitted as the `confirmation` param.
+
+import { Turbo } from "@hotwired/turbo-rails"
+
+// Tone of the dialog: icon, icon colours and the confirm button per variant
+const TONES = {
+  destructive: {
+    iconBackground: "bg-red-100",
+    iconColor: "text-red-600",
+    touchButton: "touch-btn bg-linear-to-r! from-red-500! to-red-600! text-white!",
+    desktopButton: "btn-danger",
+    defaultLabel: "Delete",
+    icon: "M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z",
+    buttonIcon: "M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+  },
+  primary: {
+    iconBackground: "bg-blue-100",
+    iconColor: "text-ismf-blue",
+    touchButton: "touch-btn touch-btn-primary",
+    desktopButton: "btn-primary",
+    defaultLabel: "Confirm",
+    icon: "M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z",
+    buttonIcon: "M5 13l4 4L19 7"
+  },
+  neutral: {
+    iconBackground: "bg-gray-100",
+    iconColor: "text-ismf-gray",
+    touchButton: "touch-btn bg-ismf-navy! text-white!",
+    desktopButton: "btn-secondary",
+    defaultLabel: "Confirm",
+    icon: "M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z",
+    buttonIcon: "M5 13l4 4L19 7"
+  }
+}
+
+const FOCUSABLE = 'button:not([disabled]), input:not([type="hidden"]):not([disabled]), [href], [tabindex]:not([tabindex="-1"])'
+
+let current = null
+let started = false
+
+// Show the dialog; resolves true when confirmed, false when cancelled
+export function confirmDialog({
+  title = "Confirm Action", message = "Are you sure?", tone = "destructive", details = [],
+  confirmText = "", confirmLabel = null, variant = currentVariant(), opener = document.activeElement
+} = {}) {
+  // A second dialog replaces the first (which counts as cancelled)
+  if (current) close(false)
+
+  const style = TONES[tone] || TONES.destructive
+  const options = {
+    title: String(title),
+    message: String(message),
+    details: details.map(String),
+    confirmText: String(confirmText || "").trim(),
+    confirmLabel: String(confirmLabel || style.defaultLabel),
+    style
+  }
+
+  return new Promise(resolve => {
+    const modal = variant === "touch" ? buildTouchModal(options) : buildDesktopModal(options)
+    current = { modal, resolve, opener }
+
+    wire(modal)
+    document.body.appendChild(modal)
+    document.body.style.overflow = "hidden"
+    document.addEventListener("keydown", handleKeydown)
+
+    // Type-to-confirm starts in the input (opens the on-screen keyboard);
+    // otherwise on Cancel, so a stray tap or Enter does not confirm
+    const initialFocus = modal.querySelector("[data-confirm-dialog-input]") ||
+                         modal.querySelector("[data-confirm-dialog-cancel]")
+    initialFocus?.focus()
+  })
+}
+
+export function isConfirmDialogOpen() {
+  return current !== null
+}
+
+// Turbo's confirm method: (message, form, submitter) => Promise<boolean>
+export async function turboConfirm(message, form, submitter) {
+  const read = (name) => submitter?.getAttribute(`data-turbo-confirm-${name}`) ?? form.getAttribute(`data-turbo-confirm-${name}`)
+  const confirmText = read("text")
+
+  const confirmed = await confirmDialog({
+    title: read("title") || undefined,
+    message,
+    tone: read("tone") || (formMethod(form) === "delete" ? "destructive" : "primary"),
+    details: parseDetails(read("details")),
+    confirmText,
+    confirmLabel: read("label"),
+    opener: submitter || form
+  })
+
+  if (confirmed && confirmText) {
+    setConfirmation(form, confirmText.trim())
+  }
+
+  return confirmed
+}
+
+// Call once from application.js
+export function startConfirmDialog() {
+  if (started) return
+  started = true
+
+  // Turbo 8.0.13+ reads Turbo.config; older releases have setConfirmMethod
+  if (Turbo.config?.forms) {
+    Turbo.config.forms.confirm = turboConfirm
+  } else {
+    Turbo.setConfirmMethod(turboConfirm)
+  }
+
+  // A visit replaces <body>: the dialog is gone, settle its Promise
+  document.addEventListener("turbo:before-render", () => {
+    if (current) close(false, { restoreFocus: false })
+  })
+}
+
+export function parseDetails(details) {
+  if (!details) return []
+  if (Array.isArray(details)) return details.map(String)
+
+  try {
+    const parsed = JSON.parse(details)
+    return Array.isArray(parsed) ? parsed.map(String) : [String(parsed)]
+  } catch (error) {
+    return [String(details)]
+  }
+}
+
+function currentVariant() {
+  return document.body.classList.contains("touch-mode") ? "touch" : "desktop"
+}
+
+function formMethod(form) {
+  const override = form.querySelector('input[name="_method"]')?.value
+  return (override || form.getAttribute("method") || "get").toLowerCase()
+}
+
+// Turbo builds the request body before asking for confirmation, so the typed
+// text is added to the request itself rather than as a form field
+function setConfirmation(form, value) {
+  form.addEventListener("turbo:before-fetch-request", (event) => {
+    const { fetchOptions, url } = event.detail
+    if (fetchOptions.body && typeof fetchOptions.body.append === "function") {
+      fetchOptions.body.append("confirmation", value)
+    } else {
+      url.searchParams.append("confirmation", value)
+    }
+  }, { once: true })
+}
+
+function close(confirmed, { restoreFocus = !confirmed } = {}) {
+  if (!current) return
+
+  const { modal, resolve, opener } = current
+  current = null
+
+  document.removeEventListener("keydown", handleKeydown)
+  modal.remove()
+  document.body.style.overflow = ""
+
+  if (restoreFocus && opener?.isConnected) opener.focus()
+  resolve(confirmed)
+}
+
+function wire(modal) {
+  const input = modal.querySelector("[data-confirm-dialog-input]")
+  const submit = modal.querySelector("[data-confirm-dialog-submit]")
+
+  modal.querySelector("[data-confirm-dialog-backdrop]").addEventListener("click", () => close(false))
+  modal.querySelector("[data-confirm-dialog-cancel]").addEventListener("click", () => close(false))
+
+  submit.addEventListener("click", () => {
+    if (input && !matches(input)) {
+      input.focus()
+      return
+    }
+    close(true)
+  })
+
+  input?.addEventListener("input", () => {
+    submit.disabled = !matches(input)
+  })
+
+  // Enter in the input confirms once the text matches
+  input?.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+      event.preventDefault()
+      if (matches(input)) close(true)
+    }
+  })
+}
+
+function matches(input) {
+  return input.value.trim() === input.dataset.confirmDialogExpected
+}
+
+function handleKeydown(event) {
+  if (!current) return
+
+  if (event.key === "Escape") {
+    event.preventDefault()
+    close(false)
+  } else if (event.key === "Tab") {
+    trapFocus(event)
+  }
+}
+
+// Keep Tab / Shift+Tab cycling inside the dialog
+function trapFocus(event) {
+  const focusable = Array.from(current.modal.querySelectorAll(FOCUSABLE))
+  if (focusable.length === 0) return
+
+  const first = focusable[0]
+  const last = focusable[focusable.length - 1]
+  const inside = current.modal.contains(document.activeElement)
+
+  if (event.shiftKey && (document.activeElement === first || !inside)) {
+    event.preventDefault()
+    last.focus()
+  } else if (!event.shiftKey && (document.activeElement === last || !inside)) {
+    event.preventDefault()
+    first.focus()
+  }
+}
+
+function dialogElement(id) {
+  const modal = document.createElement("div")
+  modal.className = "fixed inset-0 z-50 overflow-y-auto"
+  modal.setAttribute("role", "dialog")
+  modal.setAttribute("aria-modal", "true")
+  modal.setAttribute("aria-labelledby", `${id}-title`)
+  modal.setAttribute("aria-describedby", `${id}-message`)
+  return modal
+}
+
+function buildTouchModal({ title, message, details, confirmText, confirmLabel, style }) {
+  const id = `confirm-dialog-${Date.now()}`
+  const modal = dialogElement(id)
+
+  modal.innerHTML = `
+    <!-- Backdrop -->
+    <div class="fixed inset-0 bg-black bg-opacity-75 transition-opacity" data-confirm-dialog-backdrop></div>
+
+    <!-- Modal Container (kept near the top when the on-screen keyboard will open) -->
+    <div class="flex min-h-full ${confirmText ? "items-start pt-8" : "items-center"} justify-center p-4">
+      <div class="relative bg-white rounded-3xl shadow-2xl w-full max-w-md transform transition-all">
+
+        <!-- Icon -->
+        <div class="flex justify-center pt-8 pb-4">
+          <div class="w-20 h-20 ${style.iconBackground} rounded-full flex items-center justify-center">
+            <svg class="w-12 h-12 ${style.iconColor}" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="${style.icon}" />
+            </svg>
+          </div>
+        </div>
+
+        <!-- Message -->
+        <div class="px-6 pb-6 text-center">
+          <h3 id="${id}-title" class="text-2xl font-bold text-ismf-navy mb-2">${escapeHtml(title)}</h3>
+          <p id="${id}-message" class="text-lg text-ismf-gray">${escapeHtml(message)}</p>
+          ${details.length > 0 ? `
+            <ul class="mt-4 text-left text-base text-ismf-navy bg-gray-50 rounded-xl px-5 py-3 space-y-1 list-disc list-inside">
+              ${details.map(detail => `<li>${escapeHtml(detail)}</li>`).join("")}
+            </ul>
+          ` : ""}
+        </div>
+
+        ${confirmText ? `
+          <!-- Type-to-confirm -->
+          <div class="px-6 pb-6">
+            <label for="${id}-input" class="block text-base text-ismf-gray mb-2">
+              Type <strong class="text-ismf-navy select-all">${escapeHtml(confirmText)}</strong> to confirm
+            </label>
+            <input type="text" id="${id}-input" class="touch-input w-full"
+                   autocomplete="off" autocapitalize="off" autocorrect="off" spellcheck="false"
+                   data-confirm-dialog-input data-confirm-dialog-expected="${escapeHtml(confirmText)}">
+          </div>
+        ` : ""}
+
+        <!-- Action Buttons -->
+        <div class="flex gap-3 px-6 pb-6">
+          <button type="button" data-confirm-dialog-cancel
+                  class="touch-btn touch-btn-secondary flex-1 min-h-[88px]">
+            <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" style="width: 2rem; height: 2rem;" aria-hidden="true">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+            <span>Cancel</span>
+          </button>
+
+          <button type="button" data-confirm-dialog-submit ${confirmText ? "disabled" : ""}
+                  class="${style.touchButton} flex-1 min-h-[88px] disabled:opacity-40">
+            <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" style="width: 2rem; height: 2rem;" aria-hidden="true">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="${style.buttonIcon}" />
+            </svg>
+            <span>${escapeHtml(confirmLabel)}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  `
+
+  return modal
+}
+
+function buildDesktopModal({ title, message, details, confirmText, confirmLabel, style }) {
+  const id = `confirm-dialog-${Date.now()}`
+  const modal = dialogElement(id)
+
+  modal.innerHTML = `
+    <!-- Backdrop -->
+    <div class="fixed inset-0 bg-gray-900/50 transition-opacity" data-confirm-dialog-backdrop></div>
+
+    <div class="flex min-h-full items-center justify-center p-4">
+      <div class="relative bg-white rounded-xl shadow-xl w-full max-w-md p-6">
+        <div class="flex gap-4">
+          <div class="w-10 h-10 ${style.iconBackground} rounded-full flex items-center justify-center shrink-0">
+            <svg class="w-6 h-6 ${style.iconColor}" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${style.icon}" />
+            </svg>
+          </div>
+          <div class="flex-1 min-w-0">
+            <h3 id="${id}-title" class="text-lg font-semibold text-gray-900">${escapeHtml(title)}</h3>
+            <p id="${id}-message" class="mt-1 text-sm text-gray-600">${escapeHtml(message)}</p>
+            ${details.length > 0 ? `
+              <ul class="mt-3 text-sm text-gray-700 list-disc list-inside space-y-0.5">
+                ${details.map(detail => `<li>${escapeHtml(detail)}</li>`).join("")}
+              </ul>
+            ` : ""}
+            ${confirmText ? `
+              <label for="${id}-input" class="block mt-4 text-sm text-gray-600">
+                Type <strong class="text-gray-900 select-all">${escapeHtml(confirmText)}</strong> to confirm
+              </label>
+              <input type="text" id="${id}-input" class="form-input mt-1"
+                     autocomplete="off" autocapitalize="off" autocorrect="off" spellcheck="false"
+                     data-confirm-dialog-input data-confirm-dialog-expected="${escapeHtml(confirmText)}">
+            ` : ""}
+          </div>
+        </div>
+
+        <div class="mt-6 flex justify-end gap-3">
+          <button type="button" data-confirm-dialog-cancel class="btn-secondary">Cancel</button>
+          <button type="button" data-confirm-dialog-submit ${confirmText ? "disabled" : ""}
+                  class="${style.desktopButton} disabled:opacity-40 disabled:cursor-not-allowed">
+            ${escapeHtml(confirmLabel)}
+          </button>
+        </div>
+      </div>
+    </div>
+  `
+
+  return modal
+}
+
+// Also used inside attribute values, so quotes are escaped too
+function escapeHtml(text) {
+  const div = document.createElement("div")
+  div.textContent = text
+  return div.innerHTML.replace(/"/g, "&quot;")
+}
@@ -0,0 +1,99 @@
+// Device identity (localStorage + device_uuid cookie)
+//
+// A random id generated on first use and kept by this browser, so reports and
+// errors from a race location can be traced back to the kiosk that sent them.
+// Admins give the id a name and location under Admin → Devices.
+//
+// The id is sent as the X-Device-UUID header on Turbo and same-origin fetch
+// requests, and as the device_uuid cookie on everything else (full page
+// loads, service worker replays). Either copy restores the other when one is
+// cleared.
+//
+// Usage:
+//   import { deviceId } from "lib/device_identity"
+//
+//   deviceId() // => "3f2b8c1e-..."
+
+import { generateUuid } from "lib/outbox"
+
+const STORAGE_KEY = "device-id"
+const COOKIE_NAME = "device_uuid"
+const HEADER = "X-Device-UUID"
+const UUID_FORMAT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+let started = false
+
+// Private mode or storage disabled: the cookie (or one id for this page load)
+let fallbackId = null
+
+export function deviceId() {
+  let id = readStorage() || readCookie()
+  if (!id) {
+    id = fallbackId || generateUuid()
+  }
+
+  fallbackId = id
+  if (readStorage() !== id) writeStorage(id)
+  if (readCookie() !== id) writeCookie(id)
+  return id
+}
+
+// Call once from application.js
+export function startDeviceIdentity() {
+  if (started) return
+  started = true
+
+  const id = deviceId()
+  console.log(`🪪 Device ${id}`)
+
+  document.addEventListener("turbo:before-fetch-request", (event) => {
+    event.detail.fetchOptions.headers[HEADER] = deviceId()
+  })
+
+  // Stimulus controllers and lib modules call fetch() directly
+  const originalFetch = window.fetch.bind(window)
+  window.fetch = (resource, options = {}) => {
+    if (!isSameOrigin(resource)) return originalFetch(resource, options)
+
+    const headers = new Headers(options.headers || (resource instanceof Request ? resource.headers : undefined))
+    if (!headers.has(HEADER)) headers.set(HEADER, deviceId())
+    return originalFetch(resource, { ...options, headers })
+  }
+}
+
+function isSameOrigin(resource) {
+  const url = resource instanceof Request ? resource.url : String(resource)
+  try {
+    return new URL(url, window.location.href).origin === window.location.origin
+  } catch (error) {
+    return false
+  }
+}
+
+function readStorage() {
+  try {
+    const id = localStorage.getItem(STORAGE_KEY)
+    return id && UUID_FORMAT.test(id) ? id : null
+  } catch (error) {
+    return null
+  }
+}
+
+function writeStorage(id) {
+  try {
+    localStorage.setItem(STORAGE_KEY, id)
+  } catch (error) {
+    // Storage disabled: the cookie keeps the id
+  }
+}
+
+function readCookie() {
+  const row = document.cookie.split("; ").find(row => row.startsWith(`${COOKIE_NAME}=`))
+  const id = row ? row.split("=")[1] : null
+  return id && UUID_FORMAT.test(id) ? id : null
+}
+
+function writeCookie(id) {
+  const expires = new Date(Date.now() + 5 * 365 * 864e5).toUTCString()
+  document.cookie = `${COOKIE_NAME}=${id}; expires=${expires}; path=/; SameSite=Lax`
+}
@@ -0,0 +1,182 @@
+// Client error reporting (localStorage queue, batched POST /client_errors)
+//
+// Sends every error recorded by lib/recent_errors - uncaught errors, unhandled
+// rejections, errors thrown in Stimulus controllers and errors reported by
+// hand - to the server, which forwards them to AppSignal tagged with the
+// device, page and touch mode. Reports wait in localStorage while offline and
+// are sent in batches when the connection returns.
+//
+// Usage:
+//   import { reportError } from "lib/error_reporter"
+//
+//   try {
+//     await loadSomething()
+//   } catch (error) {
+//     console.error("❌ Failed to load something:", error)
+//     reportError(error, { controller: "keyboard" })
+//   }
+
+import { recordError } from "lib/recent_errors"
+import { deviceId } from "lib/device_identity"
+import { generateUuid } from "lib/outbox"
+
+const ENDPOINT = "/client_errors"
+const STORAGE_KEY = "error-reporter:queue"
+const MAX_QUEUED = 100
+const BATCH_SIZE = 20
+// Browsers refuse keepalive requests over 64 KB (all in flight together)
+const KEEPALIVE_MAX_BYTES = 60000
+const FLUSH_DELAY = 2000
+const RETRY_DELAY = 30000
+
+let started = false
+let flushTimer = null
+let flushing = false
+
+// Record an error that was caught (and handled) by the caller
+export function reportError(error, { controller = null, source = null } = {}) {
+  return recordError(error, { source: source || controller, context: { controller } })
+}
+
+// Call once from application.js, with the Stimulus application
+export function startErrorReporter(application) {
+  if (started) return
+  started = true
+
+  window.addEventListener("recent-errors:changed", (event) => enqueue(event.detail))
+
+  // Stimulus catches errors in connect() and actions and only logs them
+  if (application) {
+    const handleError = application.handleError.bind(application)
+    application.handleError = (error, message, detail = {}) => {
+      const controller = detail.identifier || null
+      recordError(error, { source: controller, context: { controller, stimulus: message } })
+      handleError(error, message, detail)
+    }
+  }
+
+  window.addEventListener("online", () => scheduleFlush(0))
+
+  // The last reports of a page that is being left
+  window.addEventListener("pagehide", () => flush({ keepalive: true }))
+
+  scheduleFlush(FLUSH_DELAY)
+}
+
+function enqueue(entry) {
+  const report = {
+    id: generateUuid(),
+    message: entry.message.slice(0, 1000),
+    source: entry.source,
+    stack: entry.stack ? entry.stack.slice(0, 4000) : null,
+    controller: entry.context?.controller || null,
+    url: window.location.pathname + window.location.search,
+    device_id: deviceId(),
+    touch_mode: document.body?.classList.contains("touch-mode") || false,
+    occurred_at: new Date(entry.at).toISOString(),
+    count: 1
+  }
+
+  const queue = readQueue()
+  const last = queue[queue.length - 1]
+
+  // A loop throwing the same error: count it instead of sending it 100 times
+  if (last && last.message === report.message && last.source === report.source && last.url === report.url) {
+    last.count += 1
+  } else {
+    queue.push(report)
+  }
+
+  writeQueue(queue.slice(-MAX_QUEUED))
+  scheduleFlush(FLUSH_DELAY)
+}
+
+function scheduleFlush(delay) {
+  clearTimeout(flushTimer)
+  flushTimer = setTimeout(() => flush(), delay)
+}
+
+async function flush({ keepalive = false } = {}) {
+  if (flushing || !navigator.onLine) return
+
+  const batch = takeBatch(readQueue(), keepalive ? KEEPALIVE_MAX_BYTES : Infinity)
+  if (batch.length === 0) return
+
+  flushing = true
+  try {
+    const response = await fetch(ENDPOINT, {
+      method: "POST",
+      keepalive,
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": "application/json",
+        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content || ""
+      },
+      body: JSON.stringify({ client_errors: batch.map(({ id, ...report }) => report) })
+    })
+
+    // Rejected reports (malformed, stale CSRF token) would be rejected forever
+    const rejected = response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status)
+
+    if (response.ok || rejected) {
+      if (rejected) console.warn(`⚠️ Error reports rejected (${response.status}), dropping ${batch.length}`)
+      removeSent(batch)
+      if (readQueue().length > 0) scheduleFlush(0)
+    } else {
+      scheduleFlush(RETRY_DELAY)
+    }
+  } catch (error) {
+    // Offline or the server is down: try again later. Not reported - that would loop
+    scheduleFlush(RETRY_DELAY)
+  } finally {
+    flushing = false
+  }
+}
+
+// The oldest reports, up to BATCH_SIZE and maxBytes of JSON
+function takeBatch(queue, maxBytes) {
+  const encoder = new TextEncoder()
+  const batch = []
+  let bytes = encoder.encode('{"client_errors":[]}').length
+
+  for (const report of queue.slice(0, BATCH_SIZE)) {
+    const size = encoder.encode(JSON.stringify(report)).length + 1
+    if (bytes + size > maxBytes) break
+
+    batch.push(report)
+    bytes += size
+  }
+
+  return batch
+}
+
+// Reports repeated while the batch was in flight keep their extra count
+function removeSent(batch) {
+  const sent = new Map(batch.map(report => [report.id, report.count]))
+
+  const queue = readQueue().flatMap((report) => {
+    if (!sent.has(report.id)) return [report]
+
+    const remaining = report.count - sent.get(report.id)
+    return remaining > 0 ? [{ ...report, count: remaining }] : []
+  })
+
+  writeQueue(queue)
+}
+
+function readQueue() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]")
+    return Array.isArray(stored) ? stored : []
+  } catch (error) {
+    return []
+  }
+}
+
+function writeQueue(queue) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(queue))
+  } catch (error) {
+    // Storage full or disabled: reports are lost, the page keeps working
+  }
+}
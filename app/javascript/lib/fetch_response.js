@@ -0,0 +1,66 @@
+// Reading fetch() responses the way Turbo would
+//
+// Stimulus controllers that call fetch() themselves (swipe actions, pending
+// deletions) ask for a Turbo Stream, so the server can update counters,
+// banners and rows in the same response. These helpers render that stream
+// and turn a refusal into a message the user can read.
+//
+// Usage:
+//   import { renderStreamResponse, isSignedOut, failureReason } from "lib/fetch_response"
+//
+//   const response = await fetch(url, { headers: { "Accept": "text/vnd.turbo-stream.html" } })
+//   if (isSignedOut(response)) { ... }
+//   else if (response.ok) await renderStreamResponse(response)
+//   else showError(await failureReason(response))
+
+import { Turbo } from "@hotwired/turbo-rails"
+
+// Render the body if it is a Turbo Stream; returns true when it was
+export async function renderStreamResponse(response) {
+  if (!isStreamResponse(response)) return false
+
+  Turbo.renderStreamMessage(await response.text())
+  return true
+}
+
+export function isStreamResponse(response) {
+  return (response.headers.get("Content-Type") || "").includes("turbo-stream")
+}
+
+// 401 from a background request, or the sign-in page after a redirect
+export function isSignedOut(response) {
+  if (response.status === 401) return true
+
+  return response.redirected && new URL(response.url).pathname.startsWith("/session")
+}
+
+// The server's reason for refusing: { "error": ... } JSON or a plain text body.
+// A Turbo Stream body is rendered instead (it carries its own message).
+export async function failureReason(response) {
+  const type = response.headers.get("Content-Type") || ""
+
+  try {
+    if (type.includes("turbo-stream")) {
+      await renderStreamResponse(response)
+    } else if (type.includes("json")) {
+      const data = await response.json()
+      if (data.error) return String(data.error)
+    } else if (type.includes("text/plain")) {
+      const text = (await response.text()).trim()
+      if (text) return text.slice(0, 200)
+    }
+  } catch (error) {
+    // Unreadable body - fall back to the status below
+  }
+
+  return defaultReason(response.status)
+}
+
+function defaultReason(status) {
+  if (status === 401) return "Signed out - please sign in again"
+  if (status === 403) return "Not allowed"
+  if (status === 404) return "Not found"
+  if (status === 422) return "Rejected by the server"
+  if (status >= 500) return `Server error (${status})`
+  return `Request failed (${status})`
+}
@@ -0,0 +1,332 @@
+// Offline outbox for mutations (IndexedDB)
+//
+// Stores POST/PATCH/DELETE requests made while offline and replays them in
+// order when connectivity returns (Background Sync in the service worker, or
+// the window "online" event). Every entry carries a client_uuid - sent as the
+// X-Client-UUID header and a client_uuid param - so replays are idempotent on
+// the server. See docs/OFFLINE_SYNC_STRATEGY.md.
+//
+// Usage:
+//   import { enqueue } from "lib/outbox"
+//
+//   await enqueue({
+//     url: "/admin/competitions/1/races/2/participations/3",
+//     method: "DELETE",
+//     kind: "participation_delete",
+//     label: "Jane Doe"
+//   })
+//
+// Events (dispatched on window, forwarded from the service worker):
+//   outbox:changed - entries added, delivered or failed
+//   outbox:synced  - entry delivered (detail: entry)
+//   outbox:failed  - entry rejected permanently (detail: entry)
+//
+// Safe to import from the service worker: nothing touches window/document
+// unless it exists.
+
+const DB_NAME = "ismf-race-logger"
+const DB_VERSION = 1
+const STORE = "outbox"
+const SYNC_TAG = "outbox-replay"
+const MAX_ATTEMPTS = 5
+
+const isWindow = typeof window !== "undefined"
+
+let replaying = null
+
+// crypto.randomUUID() needs a secure context - the Pi is served over plain http
+export function generateUuid() {
+  if (globalThis.crypto?.randomUUID && globalThis.isSecureContext) {
+    return crypto.randomUUID()
+  }
+
+  const bytes = crypto.getRandomValues(new Uint8Array(16))
+  bytes[6] = (bytes[6] & 0x0f) | 0x40
+  bytes[8] = (bytes[8] & 0x3f) | 0x80
+
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, "0")).join("")
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+}
+
+// ========================================
+// Public API
+// ========================================
+
+// Queue a mutation and try to deliver it right away
+export async function enqueue({ url, method = "POST", body = null, contentType = null, kind, label, clientUuid = generateUuid() }) {
+  const entry = {
+    client_uuid: clientUuid,
+    url,
+    method: method.toUpperCase(),
+    body,
+    content_type: contentType,
+    kind,
+    label,
+    csrf_token: currentCsrfToken(),
+    status: "pending",
+    attempts: 0,
+    last_error: null,
+    created_at: Date.now()
+  }
+
+  await store("readwrite", objectStore => objectStore.put(entry))
+  console.log(`📮 Outbox: queued ${entry.method} ${entry.url} (${entry.client_uuid})`)
+
+  notify("outbox:changed")
+  requestReplay()
+
+  return entry
+}
+
+// Queue a form submission (files are not supported)
+export function enqueueForm(form, { kind, label } = {}) {
+  const formData = new FormData(form)
+  const method = (formData.get("_method") || form.method || "POST").toString()
+  const pairs = []
+
+  formData.forEach((value, key) => {
+    if (typeof value === "string" && key !== "authenticity_token") {
+      pairs.push([key, value])
+    }
+  })
+
+  return enqueue({
+    url: form.action,
+    method,
+    body: pairs,
+    contentType: "application/x-www-form-urlencoded",
+    kind: kind || form.dataset.outboxKind || "form",
+    label: label || form.dataset.outboxLabel
+  })
+}
+
+export async function entries() {
+  const all = await store("readonly", objectStore => objectStore.index("created_at").getAll())
+  return all || []
+}
+
+export async function pendingEntries() {
+  return (await entries()).filter(entry => entry.status === "pending")
+}
+
+export async function failedEntries() {
+  return (await entries()).filter(entry => entry.status === "failed")
+}
+
+// Drop a failed entry the user gave up on
+export async function discard(clientUuid) {
+  await store("readwrite", objectStore => objectStore.delete(clientUuid))
+  notify("outbox:changed")
+}
+
+// Put a failed entry back in the queue
+export async function retry(clientUuid) {
+  const entry = await store("readonly", objectStore => objectStore.get(clientUuid))
+  if (!entry) return
+
+  await save({ ...entry, status: "pending", attempts: 0, last_error: null, csrf_token: currentCsrfToken() || entry.csrf_token })
+  notify("outbox:changed")
+  requestReplay()
+}
+
+// Deliver pending entries oldest first. Stops at the first network error so
+// order is preserved; permanent rejections are marked failed and skipped.
+export function replay() {
+  if (!replaying) {
+    replaying = replayPending().finally(() => { replaying = null })
+  }
+  return replaying
+}
+
+// Window-side wiring: replay on load and when back online, and forward
+// events posted by the service worker's Background Sync replay.
+export function startOutbox() {
+  if (!isWindow) return
+
+  window.addEventListener("online", () => replay())
+
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.addEventListener("message", (event) => {
+      const { type, detail } = event.data || {}
+      if (type?.startsWith("outbox:")) {
+        window.dispatchEvent(new CustomEvent(type, { detail }))
+      }
+    })
+  }
+
+  if (navigator.onLine) replay()
+}
+
+// ========================================
+// Replay
+// ========================================
+
+async function replayPending() {
+  const queue = await pendingEntries()
+  if (queue.length === 0) return
+
+  console.log(`📮 Outbox: replaying ${queue.length} entr${queue.length === 1 ? "y" : "ies"}`)
+
+  for (const entry of queue) {
+    const result = await deliver(entry)
+
+    if (result.outcome === "delivered") {
+      await store("readwrite", objectStore => objectStore.delete(entry.client_uuid))
+      notify("outbox:synced", entry)
+    } else if (result.outcome === "rejected") {
+      const failed = { ...entry, status: "failed", last_error: result.error }
+      await save(failed)
+      console.error(`❌ Outbox: ${entry.method} ${entry.url} rejected:`, result.error)
+      notify("outbox:failed", failed)
+    } else {
+      // Offline, signed out or server trouble - keep order, try again later
+      const attempts = result.outcome === "retry" ? entry.attempts + 1 : entry.attempts
+
+      if (result.outcome === "retry" && attempts >= MAX_ATTEMPTS) {
+        const failed = { ...entry, attempts, status: "failed", last_error: result.error }
+        await save(failed)
+        notify("outbox:failed", failed)
+        continue
+      }
+
+      await save({ ...entry, attempts, last_error: result.error })
+      break
+    }
+  }
+
+  notify("outbox:changed")
+}
+
+async function deliver(entry) {
+  const headers = {
+    "X-CSRF-Token": currentCsrfToken() || entry.csrf_token || "",
+    "X-Client-UUID": entry.client_uuid,
+    "Accept": "text/vnd.turbo-stream.html, text/html, application/json"
+  }
+
+  let body = null
+  if (entry.content_type === "application/x-www-form-urlencoded") {
+    const params = new URLSearchParams(entry.body || [])
+    params.set("client_uuid", entry.client_uuid)
+    body = params
+  } else if (entry.content_type === "application/json") {
+    body = JSON.stringify({ ...(entry.body || {}), client_uuid: entry.client_uuid })
+    headers["Content-Type"] = "application/json"
+  }
+
+  let response
+  try {
+    response = await fetch(entry.url, {
+      method: entry.method,
+      headers,
+      body,
+      credentials: "same-origin"
+    })
+  } catch (error) {
+    return { outcome: "offline", error: "No connection" }
+  }
+
+  // Session expired - authentication answers 401 or redirects to the sign-in page
+  if (response.status === 401 || (response.redirected && new URL(response.url).pathname.startsWith("/session"))) {
+    return { outcome: "blocked", error: "Sign in required" }
+  }
+
+  if (response.ok) {
+    return { outcome: "delivered" }
+  }
+
+  // Already gone - the delete happened earlier
+  if (entry.method === "DELETE" && response.status === 404) {
+    return { outcome: "delivered" }
+  }
+
+  if (response.status >= 500 || [408, 429].includes(response.status)) {
+    return { outcome: "retry", error: `Server error (${response.status})` }
+  }
+
+  return { outcome: "rejected", error: await errorMessage(response) }
+}
+
+async function errorMessage(response) {
+  try {
+    const text = (await response.text()).replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim()
+    return text ? text.slice(0, 200) : `Request failed (${response.status})`
+  } catch (e) {
+    return `Request failed (${response.status})`
+  }
+}
+
+// Prefer Background Sync (survives closing the tab), fall back to replaying now
+async function requestReplay() {
+  try {
+    const registration = await globalThis.navigator?.serviceWorker?.ready
+    if (registration?.sync) {
+      await registration.sync.register(SYNC_TAG)
+    }
+  } catch (e) {
+    // Background Sync unavailable - online listener covers it
+  }
+
+  if (globalThis.navigator?.onLine) replay()
+}
+
+// ========================================
+// Storage and notifications
+// ========================================
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORE)) {
+        const objectStore = db.createObjectStore(STORE, { keyPath: "client_uuid" })
+        objectStore.createIndex("created_at", "created_at")
+      }
+    }
+
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+async function store(mode, operation) {
+  const db = await openDb()
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode)
+    const request = operation(transaction.objectStore(STORE))
+
+    transaction.oncomplete = () => { db.close(); resolve(request?.result) }
+    transaction.onerror = () => { db.close(); reject(transaction.error) }
+  })
+}
+
+function save(entry) {
+  return store("readwrite", objectStore => objectStore.put(entry))
+}
+
+function currentCsrfToken() {
+  if (!isWindow) return null
+  return document.querySelector('meta[name="csrf-token"]')?.content || null
+}
+
+function notify(type, detail = null) {
+  if (isWindow) {
+    window.dispatchEvent(new CustomEvent(type, { detail }))
+    return
+  }
+
+  // Service worker: forward to open windows
+  self.clients.matchAll({ type: "window" }).then((clients) => {
+    clients.forEach(client => client.postMessage({ type, detail }))
+  })
+}
+
+// Service worker Background Sync entry point
+export function handleSyncEvent(event) {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replay())
+  }
+}
@@ -0,0 +1,284 @@
+// Pending deletions with an undo window (page-independent)
+//
+// A swipe-delete used to live in a setTimeout owned by the row's Stimulus
+// controller: navigating away or a Turbo Stream replacing the list cleared the
+// timeout and the delete silently never happened. Pending deletions now live
+// in this module, which survives Turbo visits (importmap modules are loaded
+// once per page load):
+//
+// - Each deletion is committed when its undo window ends, whatever page is
+//   showing by then
+// - Undo cancels it; the row is restored if it is still on screen
+// - A full page unload (reload, closing the tab) commits everything still
+//   pending with keepalive requests, so nothing is lost or left ambiguous
+// - Offline or failed-to-connect deletes go to the outbox (lib/outbox)
+// - The server's Turbo Stream response is rendered (row removal, counters);
+//   a refusal restores the row and carries the server's reason
+//
+// Rows are addressed by DOM id, so a row re-rendered by a Turbo visit or
+// stream while its deletion is pending is hidden again.
+//
+// Other undoable row actions (swipe actions such as "Mark DNS") use the same
+// undo window and bar: pass a method and params, and collapse: false to keep
+// the row visible. Their Turbo Stream response updates the row. Actions
+// without an undo window go through performAction for the same handling.
+//
+// Usage:
+//   import { scheduleDeletion, undoDeletion, performAction } from "lib/pending_deletions"
+//
+//   scheduleDeletion({
+//     id: "participation_12",
+//     url: "/admin/competitions/1/races/2/participations/12",
+//     name: "Jane Doe",
+//     kind: "participation_delete"
+//   })
+//
+//   // No undo window: sent right away
+//   performAction({
+//     id: "participation_12",
+//     url: "/admin/competitions/1/races/2/participations/12",
+//     name: "Jane Doe",
+//     label: "Mark DNS",
+//     method: "PATCH",
+//     params: { status: "dns" },
+//     collapse: false
+//   })
+//
+// Events (dispatched on window):
+//   pending-deletions:changed   - scheduled, undone or committed (detail: entries)
+//   pending-deletions:committed - server confirmed or queued (detail: { entry, queued })
+//   pending-deletions:failed    - server refused; row restored
+//                                 (detail: { entry, status, reason, signedOut })
+// Events (dispatched on the row element):
+//   pending-deletions:restored  - row is visible again (undo or failure)
+
+import { enqueue } from "lib/outbox"
+import { renderStreamResponse, isSignedOut, failureReason } from "lib/fetch_response"
+import { reportError } from "lib/error_reporter"
+
+const DEFAULT_UNDO_WINDOW = 5000
+const COLLAPSE_DURATION = 300
+
+const pending = new Map()
+let started = false
+
+// Queue a deletion; it is committed after `undoWindow` ms unless undone
+export function scheduleDeletion({
+  id, url, name, kind = "delete", label = "Delete", method = "DELETE", params = {},
+  collapse = method.toUpperCase() === "DELETE", undoWindow = DEFAULT_UNDO_WINDOW
+}) {
+  if (pending.has(id)) return
+
+  const entry = {
+    id, url, name, kind, label, params, collapse,
+    method: method.toUpperCase(),
+    deadline: Date.now() + undoWindow
+  }
+  entry.timer = setTimeout(() => commitDeletion(id), undoWindow)
+  pending.set(id, entry)
+
+  if (entry.collapse) hideRow(id)
+  notify("pending-deletions:changed", pendingDeletions())
+}
+
+export function undoDeletion(id) {
+  const entry = pending.get(id)
+  if (!entry) return
+
+  clearTimeout(entry.timer)
+  pending.delete(id)
+
+  if (entry.collapse) restoreRow(id)
+  notify("pending-deletions:changed", pendingDeletions())
+}
+
+export function undoAll() {
+  Array.from(pending.keys()).forEach(id => undoDeletion(id))
+}
+
+// Send the request now (end of undo window, or page unload)
+export async function commitDeletion(id, { keepalive = false } = {}) {
+  const entry = pending.get(id)
+  if (!entry) return
+
+  clearTimeout(entry.timer)
+  pending.delete(id)
+  notify("pending-deletions:changed", pendingDeletions())
+
+  await deliver(entry, { keepalive })
+}
+
+// Run a row action without an undo window (same delivery, events and toasts)
+export function performAction({
+  id, url, name, kind = "delete", label = "Delete", method = "DELETE", params = {},
+  collapse = method.toUpperCase() === "DELETE"
+}) {
+  return deliver({ id, url, name, kind, label, params, collapse, method: method.toUpperCase() })
+}
+
+export function commitAll(options = {}) {
+  Array.from(pending.keys()).forEach(id => commitDeletion(id, options))
+}
+
+// Snapshot of pending deletions, soonest deadline first
+export function pendingDeletions() {
+  return Array.from(pending.values())
+    .map(({ id, url, name, kind, label, method, collapse, deadline }) => ({ id, url, name, kind, label, method, collapse, deadline }))
+    .sort((a, b) => a.deadline - b.deadline)
+}
+
+export function isPendingDeletion(id) {
+  return pending.has(id)
+}
+
+// Call once from application.js
+export function startPendingDeletions() {
+  if (started) return
+  started = true
+
+  // Rows rendered again while their delete is pending (restoration visit,
+  // Turbo Stream replace) must stay hidden
+  document.addEventListener("turbo:load", hidePendingRows)
+  document.addEventListener("turbo:frame-load", hidePendingRows)
+  document.addEventListener("turbo:before-stream-render", (event) => {
+    const render = event.detail.render
+    event.detail.render = async (streamElement) => {
+      await render(streamElement)
+      hidePendingRows()
+    }
+  })
+
+  // Leaving the app: there is no undo bar anymore, so commit
+  window.addEventListener("pagehide", () => commitAll({ keepalive: true }))
+}
+
+async function deliver(entry, { keepalive = false } = {}) {
+  if (!navigator.onLine) {
+    await queueDeletion(entry)
+    return
+  }
+
+  let response
+  try {
+    response = await fetch(entry.url, {
+      method: entry.method,
+      headers: {
+        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content || "",
+        "Accept": "text/vnd.turbo-stream.html"
+      },
+      body: entry.method === "DELETE" ? null : new URLSearchParams(entry.params),
+      credentials: "same-origin",
+      keepalive
+    })
+  } catch (error) {
+    // Network failure - queue for replay instead of losing the action
+    console.error(`${entry.label} failed, queueing for later:`, error)
+    await queueDeletion(entry)
+    return
+  }
+
+  // Signed out: replaying later would fail the same way, so give the row back
+  if (isSignedOut(response)) {
+    console.error(`🔒 ${entry.label} of ${entry.name} needs a new sign-in`)
+    fail(entry, { status: 401, reason: "Signed out - please sign in again", signedOut: true })
+    return
+  }
+
+  // Already gone counts as deleted
+  if (response.ok || (entry.collapse && response.status === 404)) {
+    // The stream removes the row and updates counters; without one, remove it here
+    await renderStreamResponse(response)
+    if (entry.collapse) removeRow(entry.id)
+    notify("pending-deletions:committed", { entry, queued: false })
+    return
+  }
+
+  // Refused (422, 403, ...) or broken (5xx): show the server's reason
+  const reason = await failureReason(response)
+  console.error(`❌ ${entry.label} of ${entry.name} failed on server (${response.status}): ${reason}`)
+  fail(entry, { status: response.status, reason })
+}
+
+function fail(entry, { status, reason, signedOut = false }) {
+  if (entry.collapse) restoreRow(entry.id)
+  notify("pending-deletions:failed", { entry, status, reason, signedOut })
+}
+
+async function queueDeletion(entry) {
+  try {
+    await enqueue({
+      url: entry.url,
+      method: entry.method,
+      body: entry.method === "DELETE" ? null : Object.entries(entry.params),
+      contentType: entry.method === "DELETE" ? null : "application/x-www-form-urlencoded",
+      kind: entry.kind,
+      label: entry.collapse ? entry.name : `${entry.label}: ${entry.name}`
+    })
+  } catch (error) {
+    console.error("❌ Could not queue delete:", error)
+    reportError(error, { source: "pending deletions" })
+    fail(entry, { status: null, reason: "Could not save for later" })
+    return
+  }
+
+  if (entry.collapse) removeRow(entry.id)
+  notify("pending-deletions:committed", { entry, queued: true })
+}
+
+function hidePendingRows() {
+  pending.forEach((entry, id) => {
+    const row = document.getElementById(id)
+    if (entry.collapse && row && !row.dataset.pendingDeletion) hideRow(id, { animate: false })
+  })
+}
+
+// Collapse the row to zero height but keep it in the DOM for undo
+function hideRow(id, { animate = true } = {}) {
+  const row = document.getElementById(id)
+  if (!row) return
+
+  row.dataset.pendingDeletion = "true"
+  row.style.overflow = "hidden"
+  row.style.height = `${row.offsetHeight}px`
+  row.style.transition = animate ? `all ${COLLAPSE_DURATION}ms cubic-bezier(0.4, 0, 0.2, 1)` : "none"
+
+  requestAnimationFrame(() => {
+    row.style.height = "0px"
+    row.style.opacity = "0"
+    row.style.paddingTop = "0"
+    row.style.paddingBottom = "0"
+    row.style.marginTop = "0"
+    row.style.marginBottom = "0"
+  })
+}
+
+function restoreRow(id) {
+  const row = document.getElementById(id)
+  if (!row) return
+
+  delete row.dataset.pendingDeletion
+  row.style.transition = `all ${COLLAPSE_DURATION}ms cubic-bezier(0.4, 0, 0.2, 1)`
+  row.style.height = `${row.scrollHeight}px`
+  row.style.opacity = "1"
+  row.style.paddingTop = ""
+  row.style.paddingBottom = ""
+  row.style.marginTop = ""
+  row.style.marginBottom = ""
+
+  // The swipe controller resets its card position on this event
+  row.dispatchEvent(new CustomEvent("pending-deletions:restored", { bubbles: true }))
+
+  setTimeout(() => {
+    row.style.height = ""
+    row.style.overflow = ""
+    row.style.transition = ""
+  }, COLLAPSE_DURATION)
+}
+
+function removeRow(id) {
+  document.getElementById(id)?.remove()
+}
+
+function notify(type, detail = null) {
+  window.dispatchEvent(new CustomEvent(type, { detail }))
+}
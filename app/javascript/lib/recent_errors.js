@@ -0,0 +1,73 @@
+// Recent JavaScript errors (in memory, this page load only)
+//
+// Keeps the last few uncaught errors and unhandled promise rejections so the
+// kiosk diagnostics panel (emergency_reload_controller) can show what went
+// wrong without a devtools console. Every recorded error is also sent to the
+// server by lib/error_reporter.
+//
+// Usage:
+//   import { recentErrors, recordError } from "lib/recent_errors"
+//
+//   recordError(error, { source: "report pad", context: { controller: "report-pad" } })
+//   recentErrors() // => [{ message, source, stack, context, at }, ...] newest first
+//
+// Events (dispatched on window):
+//   recent-errors:changed - an error was recorded (detail: entry)
+
+const LIMIT = 20
+
+const errors = []
+let started = false
+
+export function recordError(error, { source = null, context = {} } = {}) {
+  const entry = {
+    message: messageFor(error),
+    source: source || sourceFor(error),
+    stack: error instanceof Error ? error.stack || null : null,
+    context,
+    at: Date.now()
+  }
+
+  errors.unshift(entry)
+  errors.length = Math.min(errors.length, LIMIT)
+
+  window.dispatchEvent(new CustomEvent("recent-errors:changed", { detail: entry }))
+  return entry
+}
+
+export function recentErrors() {
+  return errors.map(entry => ({ ...entry, context: { ...entry.context } }))
+}
+
+// Call once from application.js
+export function startRecentErrors() {
+  if (started) return
+  started = true
+
+  window.addEventListener("error", (event) => {
+    // Failed <img>/<script> loads have no message
+    if (!event.message && !event.error) return
+
+    const location = event.filename ? `${event.filename.split("/").pop()}:${event.lineno}` : null
+    recordError(event.error || event.message, { source: location })
+  })
+
+  window.addEventListener("unhandledrejection", (event) => {
+    recordError(event.reason, { source: "unhandled promise" })
+  })
+}
+
+function messageFor(error) {
+  if (error instanceof Error) return `${error.name}: ${error.message}`
+  if (typeof error === "string") return error
+  try {
+    return JSON.stringify(error)
+  } catch (e) {
+    return String(error)
+  }
+}
+
+function sourceFor(error) {
+  const frame = error instanceof Error && error.stack?.split("\n").find(line => line.includes("/"))
+  return frame ? frame.trim().split("/").pop().replace(/\)$/, "") : null
+}
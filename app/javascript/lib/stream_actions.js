@@ -0,0 +1,165 @@
+// Custom Turbo Stream actions for race-day feedback
+//
+// Small attention-grabbing updates a controller response or a broadcaster
+// can push without re-rendering a partial:
+//
+//   <turbo-stream action="highlight" target="incident_12"></turbo-stream>
+//   <turbo-stream action="vibrate" pattern="200,100,200"></turbo-stream>
+//   <turbo-stream action="play_sound" sound="alert"></turbo-stream>
+//   <turbo-stream action="scroll_into_view" target="incident_12" block="center"></turbo-stream>
+//   <turbo-stream action="set_badge_count" target="incidents_badge" count="3"></turbo-stream>
+//   <turbo-stream action="redirect" url="/admin/races/4"></turbo-stream>
+//
+// highlight, scroll_into_view and set_badge_count also take targets="<css>".
+// set_badge_count without a target sets the installed app's icon badge.
+// redirect only follows same-origin URLs.
+//
+// Server side: config/initializers/turbo_stream_actions.rb (turbo_stream.<action>)
+// and BaseBroadcaster#broadcast_stream_action. The toast action lives in lib/toasts.
+
+import { Turbo, StreamActions } from "@hotwired/turbo-rails"
+
+const HIGHLIGHT_DURATION = 2000
+
+// Tones as [frequency Hz, duration s] steps - no audio files to cache offline
+const SOUNDS = {
+  alert: [[880, 0.15], [660, 0.15], [880, 0.15], [660, 0.15]],
+  success: [[660, 0.1], [880, 0.15]],
+  error: [[330, 0.2], [220, 0.3]],
+  notify: [[740, 0.12]]
+}
+
+let audioContext = null
+let started = false
+
+// Call once from application.js
+export function startStreamActions() {
+  if (started) return
+  started = true
+
+  StreamActions.highlight = function() {
+    this.targetElements.forEach(element => highlight(element))
+  }
+
+  StreamActions.vibrate = function() {
+    const pattern = (this.getAttribute("pattern") || "200")
+      .split(",")
+      .map(value => parseInt(value, 10))
+      .filter(value => !Number.isNaN(value))
+
+    if (navigator.vibrate) navigator.vibrate(pattern)
+  }
+
+  StreamActions.play_sound = function() {
+    playSound(this.getAttribute("sound") || "notify")
+  }
+
+  StreamActions.scroll_into_view = function() {
+    const element = this.targetElements[0]
+    if (!element) return
+
+    element.scrollIntoView({
+      behavior: prefersReducedMotion() ? "auto" : "smooth",
+      block: this.getAttribute("block") || "center"
+    })
+  }
+
+  StreamActions.set_badge_count = function() {
+    const count = Math.max(0, parseInt(this.getAttribute("count"), 10) || 0)
+
+    if (!this.hasAttribute("target") && !this.hasAttribute("targets")) {
+      setAppBadge(count)
+      return
+    }
+
+    this.targetElements.forEach(element => {
+      element.textContent = count > 99 ? "99+" : String(count)
+      element.classList.toggle("hidden", count === 0)
+    })
+  }
+
+  StreamActions.redirect = function() {
+    const url = this.getAttribute("url")
+    if (!url) return
+
+    const location = new URL(url, window.location.href)
+    if (location.origin !== window.location.origin) {
+      console.error(`❌ Refusing stream redirect to another origin: ${location.href}`)
+      return
+    }
+
+    Turbo.visit(location.href, { action: this.getAttribute("visit") === "replace" ? "replace" : "advance" })
+  }
+
+  // Browsers only start audio after a user gesture: unlock on the first tap
+  document.addEventListener("pointerdown", unlockAudio, { once: true, capture: true })
+}
+
+// Pulse the element's background (stream-highlight in application.css)
+export function highlight(element) {
+  element.classList.remove("stream-highlight")
+  // Restart the animation when the same row is highlighted again
+  void element.offsetWidth
+  element.classList.add("stream-highlight")
+
+  clearTimeout(element.streamHighlightTimer)
+  element.streamHighlightTimer = setTimeout(() => element.classList.remove("stream-highlight"), HIGHLIGHT_DURATION)
+}
+
+export async function playSound(name) {
+  const steps = SOUNDS[name]
+  if (!steps) {
+    console.error(`❌ Unknown stream sound: ${name}`)
+    return
+  }
+
+  try {
+    const context = await unlockAudio()
+    if (!context || context.state !== "running") return
+
+    let time = context.currentTime
+    steps.forEach(([frequency, duration]) => {
+      const oscillator = context.createOscillator()
+      const gain = context.createGain()
+
+      oscillator.connect(gain)
+      gain.connect(context.destination)
+      oscillator.type = "sine"
+      oscillator.frequency.value = frequency
+      gain.gain.setValueAtTime(0.2, time)
+      gain.gain.exponentialRampToValueAtTime(0.01, time + duration)
+
+      oscillator.start(time)
+      oscillator.stop(time + duration)
+      time += duration + 0.05
+    })
+  } catch (error) {
+    // No audio on this device - the visual update still happens
+  }
+}
+
+async function unlockAudio() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext
+  if (!AudioContext) return null
+
+  if (!audioContext) audioContext = new AudioContext()
+  if (audioContext.state === "suspended") {
+    try {
+      await audioContext.resume()
+    } catch (error) {
+      // Still locked until the next gesture
+    }
+  }
+  return audioContext
+}
+
+function setAppBadge(count) {
+  if (!navigator.setAppBadge) return
+
+  const request = count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge()
+  request.catch(() => {})
+}
+
+function prefersReducedMotion() {
+  return window.matchMedia("(prefers-reduced-motion: reduce)").matches
+}
@@ -0,0 +1,161 @@
+// Toast notifications (page-independent stack)
+//
+// One stack of toasts for the whole app, rendered by the toasts controller in
+// the layout. Toasts live in this module, so one shown just before a Turbo
+// visit is still there on the next page.
+//
+// - Types: success, error, info and undo (an undo toast has an Undo action
+//   and stays a little longer)
+// - Each toast dismisses itself after its duration (0 = until dismissed);
+//   touching or hovering a toast pauses its timer
+// - An action button ({ label, event, detail }) dispatches `event` on window,
+//   or calls `onClick` when shown from JS
+// - At most MAX_VISIBLE toasts: the oldest is dropped for a new one
+//
+// Usage:
+//   import { showToast } from "lib/toasts"
+//
+//   showToast({ message: "Race started", type: "success" })
+//   showToast({ message: "Jane Doe marked DNS", type: "undo", onClick: () => undo() })
+//
+//   // Without an import (other scripts, inline handlers)
+//   window.dispatchEvent(new CustomEvent("toast:show", { detail: { message: "Saved" } }))
+//
+//   // From the server (controllers and broadcasters)
+//   <turbo-stream action="toast" message="Incident #12 officialized" type="info"></turbo-stream>
+//
+// Events (dispatched on window):
+//   toasts:changed - shown, dismissed, paused or resumed (detail: toasts)
+
+import { StreamActions } from "@hotwired/turbo-rails"
+
+const MAX_VISIBLE = 4
+
+const DURATIONS = {
+  success: 3000,
+  info: 4000,
+  error: 6000,
+  undo: 6000
+}
+
+const toasts = new Map()
+let nextId = 1
+let started = false
+
+// Show a toast; returns its id (for dismissToast)
+export function showToast({ message, type = "info", duration = null, action = null, onClick = null, id = null }) {
+  if (!message) return null
+  if (!DURATIONS[type]) type = "info"
+
+  const toastId = id ? String(id) : `toast-${nextId++}`
+  if (toasts.has(toastId)) dismissToast(toastId)
+
+  if (type === "undo" && !action) action = { label: "Undo" }
+
+  const toast = {
+    id: toastId,
+    message: String(message),
+    type,
+    action: action ? { label: String(action.label || "OK"), event: action.event || null, detail: action.detail ?? null } : null,
+    onClick,
+    remaining: duration ?? DURATIONS[type],
+    paused: false,
+    timer: null,
+    startedAt: null
+  }
+
+  toasts.set(toastId, toast)
+  startTimer(toast)
+
+  // Keep the stack short: the oldest toasts make room
+  while (toasts.size > MAX_VISIBLE) {
+    dismissToast(toasts.keys().next().value)
+  }
+
+  notify()
+  return toastId
+}
+
+export function dismissToast(id) {
+  const toast = toasts.get(String(id))
+  if (!toast) return
+
+  clearTimeout(toast.timer)
+  toasts.delete(toast.id)
+  notify()
+}
+
+// Run the toast's action, then dismiss it
+export function runToastAction(id) {
+  const toast = toasts.get(String(id))
+  if (!toast?.action) return
+
+  dismissToast(toast.id)
+
+  if (toast.onClick) toast.onClick()
+  if (toast.action.event) {
+    window.dispatchEvent(new CustomEvent(toast.action.event, { detail: toast.action.detail }))
+  }
+}
+
+// Touching or hovering a toast stops its countdown
+export function pauseToast(id) {
+  const toast = toasts.get(String(id))
+  if (!toast || toast.paused) return
+
+  toast.paused = true
+  if (toast.timer) {
+    clearTimeout(toast.timer)
+    toast.timer = null
+    toast.remaining = Math.max(1000, toast.remaining - (Date.now() - toast.startedAt))
+  }
+  notify()
+}
+
+export function resumeToast(id) {
+  const toast = toasts.get(String(id))
+  if (!toast || !toast.paused) return
+
+  toast.paused = false
+  startTimer(toast)
+  notify()
+}
+
+// Snapshot of the stack, oldest first
+export function currentToasts() {
+  return Array.from(toasts.values())
+    .map(({ id, message, type, action, paused }) => ({ id, message, type, action, paused }))
+}
+
+// Call once from application.js
+export function startToasts() {
+  if (started) return
+  started = true
+
+  window.addEventListener("toast:show", (event) => showToast(event.detail || {}))
+
+  // <turbo-stream action="toast" message="..." type="success" duration="5000"
+  //               action-label="Open" action-event="incidents:open"></turbo-stream>
+  StreamActions.toast = function() {
+    const duration = this.getAttribute("duration")
+    const actionLabel = this.getAttribute("action-label")
+
+    showToast({
+      message: this.getAttribute("message"),
+      type: this.getAttribute("type") || "info",
+      duration: duration ? parseInt(duration, 10) : null,
+      action: actionLabel ? { label: actionLabel, event: this.getAttribute("action-event") } : null
+    })
+  }
+}
+
+function startTimer(toast) {
+  if (!toast.remaining) return
+
+  toast.startedAt = Date.now()
+  toast.timer = setTimeout(() => dismissToast(toast.id), toast.remaining)
+}
+
+function notify() {
+  window.dispatchEvent(new CustomEvent("toasts:changed", { detail: currentToasts() }))
+}
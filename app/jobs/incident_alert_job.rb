@@ -0,0 +1,31 @@
+# frozen_string_literal: true
+
+# Alerts jury presidents, VAR operators and admins about a new incident by
+# Web Push, so they notice it even with the app in the background.
+#
+# Enqueued by Operations::Reports::Create when a report opens a new incident.
+# The notification links to the race page, where the incident is listed.
+#
+# Example:
+#   IncidentAlertJob.perform_later(report.id)
+#
+class IncidentAlertJob < ApplicationJob
+  queue_as :default
+
+  def perform(report_id)
+    report = AppContainer["repos.report"].find(report_id)
+    return unless report
+
+    race = AppContainer["repos.race"].find(report.race_id)
+    return unless race
+
+    location = report.race_location_id && AppContainer["repos.race_location"].find(report.race_location_id)
+
+    Operations::PushSubscriptions::Notify.new.call(
+      title: "New incident · Bib #{report.bib_display}",
+      body: [ location&.name, race.name ].compact.join(" · "),
+      path: Rails.application.routes.url_helpers.admin_competition_race_path(race.competition_id, race.id),
+      tag: "incident-#{report.incident_id}"
+    )
+  end
+end
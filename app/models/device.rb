@@ -0,0 +1,24 @@
+# frozen_string_literal: true
+
+# Device model - Pure data mapper (Hanami-style)
+#
+# This model is intentionally thin:
+# - NO scopes (query logic belongs in DeviceRepo)
+# - NO business logic (belongs in Structs::Device or Operations)
+# - NO validations (handled by contracts)
+# - NO callbacks
+#
+# Only contains:
+# - Table mapping
+# - Associations (for eager loading)
+#
+# A device is a browser that identified itself with the UUID it generated
+# (lib/device_identity.js) - typically a kiosk at a race location.
+#
+# For device queries, see: DeviceRepo
+# For device operations, see: Operations::Devices::*
+#
+class Device < ApplicationRecord
+  # Associations (for eager loading in repos)
+  has_many :reports, dependent: :nullify
+end
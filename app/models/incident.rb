@@ -0,0 +1,25 @@
+# frozen_string_literal: true
+
+# Incident model - Pure data mapper (Hanami-style)
+#
+# This model is intentionally thin:
+# - NO scopes (query logic belongs in repos)
+# - NO business logic (belongs in Operations)
+# - NO validations (handled by contracts)
+# - NO callbacks
+#
+# Only contains:
+# - Table mapping
+# - Associations (for eager loading)
+#
+# An incident groups one or more reports and carries the lifecycle status
+# (unofficial → official) and the jury decision.
+#
+class Incident < ApplicationRecord
+  # Associations (for eager loading in repos)
+  belongs_to :race
+  belongs_to :race_location, optional: true
+  belongs_to :officialized_by_user, class_name: "User", foreign_key: :officialized_by, optional: true
+  belongs_to :decided_by_user, class_name: "User", foreign_key: :decided_by, optional: true
+  has_many :reports, dependent: :destroy
+end
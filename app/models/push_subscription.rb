@@ -0,0 +1,21 @@
+# frozen_string_literal: true
+
+# PushSubscription model - Pure data mapper (Hanami-style)
+#
+# This model is intentionally thin:
+# - NO scopes (query logic belongs in PushSubscriptionRepo)
+# - NO business logic (belongs in Operations)
+# - NO validations (handled by contracts)
+# - NO callbacks
+#
+# Only contains:
+# - Table mapping
+# - Associations (for eager loading)
+#
+# For push subscription queries, see: PushSubscriptionRepo
+# For push subscription operations, see: Operations::PushSubscriptions::*
+#
+class PushSubscription < ApplicationRecord
+  # Associations (for eager loading in repos)
+  belongs_to :user
+end
@@ -25,6 +25,8 @@ class Race < ApplicationRecord
   belongs_to :competition
   belongs_to :race_type
 
+  # Incidents (and their reports) first: reports reference participations and locations
+  has_many :incidents, dependent: :destroy
   has_many :race_participations, dependent: :destroy
   has_many :athletes, through: :race_participations
   has_many :teams, dependent: :destroy
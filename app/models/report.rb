@@ -0,0 +1,29 @@
+# frozen_string_literal: true
+
+# Report model - Pure data mapper (Hanami-style)
+#
+# This model is intentionally thin:
+# - NO scopes (query logic belongs in ReportRepo)
+# - NO business logic (belongs in Structs::Report or Operations)
+# - NO validations (handled by contracts)
+# - NO callbacks
+#
+# Only contains:
+# - Table mapping
+# - Associations (for eager loading)
+#
+# Reports are observations only (no status) - status lives on Incident.
+#
+# For report queries, see: ReportRepo
+# For report operations, see: Operations::Reports::*
+#
+class Report < ApplicationRecord
+  # Associations (for eager loading in repos)
+  belongs_to :race
+  belongs_to :incident, counter_cache: true
+  belongs_to :user
+  belongs_to :race_location, optional: true
+  belongs_to :race_participation, optional: true
+  belongs_to :athlete, optional: true
+  belongs_to :device, optional: true
+end
@@ -25,6 +25,7 @@ class User < ApplicationRecord
   belongs_to :role, optional: true
   has_many :sessions, dependent: :destroy
   has_many :magic_links, dependent: :destroy
+  has_many :push_subscriptions, dependent: :destroy
 
   # Presentation helper for views (not business logic)
   # In pure Hanami, this would be in a presenter or view helper
@@ -10,11 +10,15 @@ module Operations
     # This operation copies all race participations from a source race
     # to a target race, preserving bib numbers and athlete assignments.
     #
+    # With a client_uuid (offline outbox replays) a copy is applied once: a
+    # repeated client_uuid returns the summary of the first copy.
+    #
     # Example:
     #   operation = Operations::Athletes::CopyParticipants.new
     #   result = operation.call(
     #     target_race_id: 5,
-    #     source_race_id: 4
+    #     source_race_id: 4,
+    #     client_uuid: "9b2f0c1e-..."
     #   )
     #
     #   if result.success?
@@ -28,24 +32,47 @@ module Operations
     class CopyParticipants
       include Dry::Monads[:result, :do]
 
+      # How long a client_uuid is remembered (outbox entries give up long before)
+      APPLIED_TTL = 1.day
+
       # Initialize with dependencies
       #
       # @param race_repo [RaceRepo]
       # @param participation_repo [RaceParticipationRepo]
+      # @param cache [ActiveSupport::Cache::Store] remembers applied client_uuids
       def initialize(
         race_repo: RaceRepo.new,
-        participation_repo: RaceParticipationRepo.new
+        participation_repo: RaceParticipationRepo.new,
+        cache: Rails.cache
       )
         @race_repo = race_repo
         @participation_repo = participation_repo
+        @cache = cache
       end
 
       # Execute the copy operation
       #
       # @param target_race_id [Integer] ID of the race to copy participants into
       # @param source_race_id [Integer] ID of the race to copy participants from
+      # @param client_uuid [String, nil] outbox entry id, makes replays no-ops
       # @return [Dry::Monads::Result<Hash, String>]
-      def call(target_race_id:, source_race_id:)
+      def call(target_race_id:, source_race_id:, client_uuid: nil)
+        return copy(target_race_id: target_race_id, source_race_id: source_race_id) if client_uuid.blank?
+
+        key = "participation_copy/#{client_uuid}"
+        applied = cache.read(key)
+        return Success(applied) if applied
+
+        result = copy(target_race_id: target_race_id, source_race_id: source_race_id)
+        cache.write(key, result.value!, expires_in: APPLIED_TTL) if result.success?
+        result
+      end
+
+      private
+
+      attr_reader :race_repo, :participation_repo, :cache
+
+      def copy(target_race_id:, source_race_id:)
         # Validate races exist
         target_race = race_repo.find(target_race_id)
         source_race = race_repo.find(source_race_id)
@@ -97,10 +124,6 @@ module Operations
         end
       end
 
-      private
-
-      attr_reader :race_repo, :participation_repo
-
       # Copy a single participation to the target race
       #
       # @param target_race_id [Integer]
@@ -0,0 +1,71 @@
+# frozen_string_literal: true
+
+module Operations
+  module ClientErrors
+    # Report Operation
+    #
+    # Forwards browser errors to AppSignal (namespace "frontend") and the log,
+    # tagged with the device, page and touch mode they came from, so a failure
+    # on one race location's kiosk can be traced during a race weekend.
+    #
+    # Returns:
+    # - Success(count) with the number of reports forwarded
+    # - Failure([:validation_failed, errors]) if the batch is malformed
+    #
+    # Example:
+    #   result = Operations::ClientErrors::Report.new.call(
+    #     client_errors: [ { message: "TypeError: x is undefined", controller: "keyboard", device_id: "3f2b..." } ],
+    #     user_id: Current.user&.id,
+    #     device_label: Current.device&.label,
+    #     user_agent: request.user_agent
+    #   )
+    #
+    class Report
+      include Dry::Monads[:result]
+
+      # Stands in for the JavaScript error, so AppSignal groups reports by message
+      class ClientError < StandardError; end
+
+      def call(client_errors:, user_id: nil, device_label: nil, user_agent: nil)
+        validation = Operations::Contracts::ReportClientErrors.new.call(client_errors: client_errors)
+        return Failure([:validation_failed, validation.errors.to_h]) unless validation.success?
+
+        reports = validation.to_h[:client_errors]
+        reports.each { |report| forward(report, user_id: user_id, device_label: device_label, user_agent: user_agent) }
+
+        Success(reports.size)
+      end
+
+      private
+
+      def forward(report, user_id:, device_label:, user_agent:)
+        Rails.logger.warn(
+          "[client error] #{report[:message]} " \
+          "(device=#{device_label || report[:device_id] || '-'} url=#{report[:url] || '-'} " \
+          "controller=#{report[:controller] || '-'} count=#{report[:count] || 1})"
+        )
+
+        error = ClientError.new(report[:message])
+        error.set_backtrace(report[:stack].lines.map(&:strip).reject(&:empty?)) if report[:stack].present?
+
+        Appsignal.send_error(error) do |transaction|
+          transaction.set_namespace("frontend")
+          transaction.set_action(report[:controller].presence || report[:source].presence || "window")
+          transaction.add_tags(
+            device_id: report[:device_id],
+            device: device_label,
+            url: report[:url],
+            touch_mode: report[:touch_mode],
+            user_id: user_id,
+            count: report[:count] || 1
+          )
+          transaction.add_custom_data(
+            source: report[:source],
+            occurred_at: report[:occurred_at],
+            user_agent: user_agent
+          )
+        end
+      end
+    end
+  end
+end
@@ -0,0 +1,24 @@
+# frozen_string_literal: true
+
+module Operations
+  module Contracts
+    # AssignDevice Contract
+    #
+    # Validates the friendly name and race location an admin gives a device.
+    #
+    # Required fields:
+    # - id: integer (device)
+    #
+    # Optional fields:
+    # - name: string, up to 60 characters ("Pi 2")
+    # - location_name: string, up to 60 characters ("Start Gate 2")
+    #
+    class AssignDevice < Dry::Validation::Contract
+      params do
+        required(:id).filled(:integer)
+        optional(:name).maybe(:string, max_size?: 60)
+        optional(:location_name).maybe(:string, max_size?: 60)
+      end
+    end
+  end
+end
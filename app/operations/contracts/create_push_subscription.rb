@@ -0,0 +1,30 @@
+# frozen_string_literal: true
+
+module Operations
+  module Contracts
+    # CreatePushSubscription Contract
+    #
+    # Validates a browser PushSubscription (as produced by subscription.toJSON())
+    # before it is stored for a user.
+    #
+    # Required fields:
+    # - endpoint: string (https URL of the push service)
+    # - keys.p256dh: string (client public key)
+    # - keys.auth: string (client auth secret)
+    #
+    class CreatePushSubscription < Dry::Validation::Contract
+      params do
+        required(:endpoint).filled(:string)
+        required(:keys).hash do
+          required(:p256dh).filled(:string)
+          required(:auth).filled(:string)
+        end
+      end
+
+      rule(:endpoint) do
+        uri = URI.parse(value) rescue nil
+        key.failure("must be an https URL") unless uri.is_a?(URI::HTTPS) && uri.host.present?
+      end
+    end
+  end
+end
@@ -0,0 +1,44 @@
+# frozen_string_literal: true
+
+module Operations
+  module Contracts
+    # CreateReport Contract
+    #
+    # Validates a quick report sent from a field-of-play device.
+    #
+    # Required fields:
+    # - client_uuid: string (UUID generated on the device, used for idempotency)
+    # - race_id: integer
+    # - user_id: integer (reporter)
+    # - bib_number: integer (1-9999)
+    #
+    # Optional fields:
+    # - race_location_id: integer (must belong to the race)
+    # - description: string
+    # - device_id: integer (device the report was tapped on)
+    #
+    class CreateReport < Dry::Validation::Contract
+      params do
+        required(:client_uuid).filled(:string, format?: /\A\h{8}-\h{4}-\h{4}-\h{4}-\h{12}\z/)
+        required(:race_id).filled(:integer)
+        required(:user_id).filled(:integer)
+        required(:bib_number).filled(:integer, gteq?: 1, lteq?: 9999)
+        optional(:race_location_id).maybe(:integer)
+        optional(:description).maybe(:string)
+        optional(:device_id).maybe(:integer)
+      end
+
+      rule(:race_id) do
+        key.failure("must be a valid race") unless Race.exists?(value)
+      end
+
+      rule(:race_location_id, :race_id) do
+        next if values[:race_location_id].nil?
+
+        unless RaceLocation.exists?(id: values[:race_location_id], race_id: values[:race_id])
+          key(:race_location_id).failure("must be a location of this race")
+        end
+      end
+    end
+  end
+end
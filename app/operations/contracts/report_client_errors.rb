@@ -0,0 +1,42 @@
+# frozen_string_literal: true
+
+module Operations
+  module Contracts
+    # ReportClientErrors Contract
+    #
+    # Validates a batch of browser errors sent by lib/error_reporter.js.
+    #
+    # Required fields:
+    # - client_errors: array of 1 to 50 reports, each with
+    #   - message: string
+    #
+    # Optional fields per report:
+    # - source, stack, controller, url, device_id: string
+    # - touch_mode: boolean
+    # - occurred_at: string (ISO 8601, browser clock)
+    # - count: integer (repeats of the same error collapsed into one report)
+    #
+    class ReportClientErrors < Dry::Validation::Contract
+      MAX_BATCH = 50
+
+      params do
+        required(:client_errors).array(:hash) do
+          required(:message).filled(:string)
+          optional(:source).maybe(:string)
+          optional(:stack).maybe(:string)
+          optional(:controller).maybe(:string)
+          optional(:url).maybe(:string)
+          optional(:device_id).maybe(:string)
+          optional(:touch_mode).maybe(:bool)
+          optional(:occurred_at).maybe(:string)
+          optional(:count).maybe(:integer, gteq?: 1)
+        end
+      end
+
+      rule(:client_errors) do
+        key.failure("must not be empty") if value.empty?
+        key.failure("must contain at most #{MAX_BATCH} reports") if value.size > MAX_BATCH
+      end
+    end
+  end
+end
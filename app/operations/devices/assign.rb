@@ -0,0 +1,40 @@
+# frozen_string_literal: true
+
+module Operations
+  module Devices
+    # Assign Operation
+    #
+    # Gives a device a friendly name and the race location it is set up at,
+    # so its reports and errors read "Pi 2 at Start Gate 2" instead of a UUID.
+    # Blank values clear the assignment.
+    #
+    # Returns:
+    # - Success(Structs::Device) if saved
+    # - Failure([:validation_failed, errors]) if params are invalid
+    # - Failure([:not_found, message]) if the device does not exist
+    #
+    # Example:
+    #   result = Operations::Devices::Assign.new.call(id: 4, name: "Pi 2", location_name: "Start Gate 2")
+    #
+    class Assign
+      include Dry::Monads[:result]
+      include Import[device_repo: "repos.device"]
+
+      def call(params)
+        validation = Operations::Contracts::AssignDevice.new.call(params)
+        return Failure([:validation_failed, validation.errors.to_h]) unless validation.success?
+
+        attrs = validation.to_h
+        device = device_repo.assign(
+          attrs[:id],
+          name: attrs[:name].to_s.strip.presence,
+          location_name: attrs[:location_name].to_s.strip.presence
+        )
+
+        return Failure([:not_found, "Device not found"]) unless device
+
+        Success(device)
+      end
+    end
+  end
+end
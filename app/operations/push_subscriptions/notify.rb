@@ -0,0 +1,81 @@
+# frozen_string_literal: true
+
+module Operations
+  module PushSubscriptions
+    # Notify Operation
+    #
+    # Sends a Web Push notification to every subscribed jury president, VAR
+    # operator and admin. Subscriptions the push service reports as gone
+    # (404/410) are deleted; other failures are logged and skipped so one
+    # broken browser cannot hold back the rest.
+    #
+    # The payload matches the service worker's push handler:
+    #   { title, options: { body, tag, data: { path } } }
+    #
+    # Returns:
+    # - Success(count) with the number of notifications accepted
+    # - Failure([:not_configured, message]) if no VAPID keys are set
+    #
+    # Example:
+    #   result = Operations::PushSubscriptions::Notify.new.call(
+    #     title: "New incident",
+    #     body: "Bib 34 at Top 1 · Individual Final",
+    #     path: "/admin/competitions/1/races/2",
+    #     tag: "incident-12"
+    #   )
+    #
+    class Notify
+      include Dry::Monads[:result]
+
+      RECIPIENT_ROLES = %w[jury_president var_operator].freeze
+
+      # @param push_subscription_repo [PushSubscriptionRepo]
+      # @param web_push [IsmfRaceLogger::WebPush, nil] nil when no VAPID keys are configured
+      def initialize(
+        push_subscription_repo: PushSubscriptionRepo.new,
+        web_push: IsmfRaceLogger::WebPush.from_credentials
+      )
+        @push_subscription_repo = push_subscription_repo
+        @web_push = web_push
+      end
+
+      def call(title:, body:, path:, tag: nil)
+        return Failure([:not_configured, "VAPID keys are not configured"]) unless web_push
+
+        payload = { title: title, options: { body: body, tag: tag, data: { path: path } }.compact }
+
+        sent = push_subscription_repo.for_role_names(RECIPIENT_ROLES, include_admins: true).count do |subscription|
+          deliver(subscription, payload)
+        end
+
+        Success(sent)
+      end
+
+      private
+
+      attr_reader :push_subscription_repo, :web_push
+
+      def deliver(subscription, payload)
+        response = web_push.deliver(
+          endpoint: subscription.endpoint,
+          p256dh: subscription.p256dh_key,
+          auth: subscription.auth_key,
+          payload: payload
+        )
+
+        if IsmfRaceLogger::WebPush.gone?(response)
+          push_subscription_repo.delete_by_endpoint(subscription.endpoint)
+          false
+        elsif response.is_a?(Net::HTTPSuccess)
+          true
+        else
+          Rails.logger.warn("[push] #{subscription.endpoint} answered #{response.code}")
+          false
+        end
+      rescue StandardError => e
+        Rails.logger.warn("[push] #{subscription.endpoint} failed: #{e.class}: #{e.message}")
+        false
+      end
+    end
+  end
+end
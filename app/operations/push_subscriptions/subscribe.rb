@@ -0,0 +1,46 @@
+# frozen_string_literal: true
+
+module Operations
+  module PushSubscriptions
+    # Subscribe Operation
+    #
+    # Stores the Web Push subscription a browser created for the signed-in user,
+    # so jury presidents and VAR operators can be alerted about incidents while
+    # the app is in the background.
+    #
+    # Returns:
+    # - Success(PushSubscriptionRepo::PushSubscriptionStruct) if stored
+    # - Failure([:validation_failed, errors]) if the subscription is malformed
+    # - Failure([:save_failed, message]) if the record could not be written
+    #
+    # Example:
+    #   result = Operations::PushSubscriptions::Subscribe.new.call(
+    #     user_id: 1,
+    #     subscription: { endpoint: "https://fcm.googleapis.com/...", keys: { p256dh: "...", auth: "..." } },
+    #     user_agent: request.user_agent
+    #   )
+    #
+    class Subscribe
+      include Dry::Monads[:result]
+      include Import[push_subscription_repo: "repos.push_subscription"]
+
+      def call(user_id:, subscription:, user_agent: nil)
+        validation = Operations::Contracts::CreatePushSubscription.new.call(subscription)
+        return Failure([:validation_failed, validation.errors.to_h]) unless validation.success?
+
+        attrs = validation.to_h
+        stored = push_subscription_repo.upsert_for_user(
+          user_id,
+          endpoint: attrs[:endpoint],
+          p256dh_key: attrs[:keys][:p256dh],
+          auth_key: attrs[:keys][:auth],
+          user_agent: user_agent
+        )
+
+        return Failure([:save_failed, "Push subscription could not be saved"]) unless stored
+
+        Success(stored)
+      end
+    end
+  end
+end
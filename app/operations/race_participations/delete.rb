@@ -0,0 +1,49 @@
+# frozen_string_literal: true
+
+module Operations
+  module RaceParticipations
+    # Remove an athlete from a race
+    #
+    # A participation with reports attached stays: the reports reference it
+    # and are evidence for the jury. Those have to be resolved first.
+    #
+    # Returns:
+    # - Success(true) if deleted
+    # - Failure([:not_found, message]) if the participation isn't in the race
+    # - Failure([:has_reports, message]) if reports reference it
+    # - Failure([:foreign_key, message]) if other records still reference it
+    #
+    # @example
+    #   result = Operations::RaceParticipations::Delete.new.call(race_id: 2, id: 12)
+    #
+    #   case result
+    #   in Success(true)
+    #     # participation removed
+    #   in Failure([:has_reports, message])
+    #     # message => "Participant has reports attached"
+    #   end
+    #
+    class Delete
+      include Dry::Monads[:result]
+      include Import[
+        race_participation_repo: "repos.race_participation",
+        report_repo: "repos.report"
+      ]
+
+      def call(race_id:, id:)
+        participation = race_participation_repo.find_in_race(race_id: race_id, id: id)
+        return Failure([:not_found, "Participation not found"]) unless participation
+
+        if report_repo.exists?(race_participation_id: participation.id)
+          return Failure([:has_reports, "Participant has reports attached"])
+        end
+
+        race_participation_repo.delete(participation.id)
+
+        Success(true)
+      rescue ActiveRecord::InvalidForeignKey
+        Failure([:foreign_key, "Participant is still referenced by other records"])
+      end
+    end
+  end
+end
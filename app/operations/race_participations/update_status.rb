@@ -0,0 +1,56 @@
+# frozen_string_literal: true
+
+module Operations
+  module RaceParticipations
+    # Update the status of a race participation
+    #
+    # Used by the swipe actions on the touch race page ("Mark DNS", "DNF").
+    # Only the statuses a field official sets by hand are accepted; DSQ comes
+    # from a jury decision and "finished" from timing.
+    #
+    # This operation:
+    # 1. Validates the status
+    # 2. Finds the participation within the race
+    # 3. Updates the status
+    # 4. Returns the participation struct (with athlete) for re-rendering
+    #
+    # Returns:
+    # - Success(Structs::RaceParticipation) if updated
+    # - Failure([:invalid_status, message]) if the status can't be set by hand
+    # - Failure([:not_found, message]) if the participation isn't in the race
+    # - Failure([:validation_error, message]) if the update fails
+    #
+    # @example
+    #   result = Operations::RaceParticipations::UpdateStatus.new.call(
+    #     race_id: 2,
+    #     id: 12,
+    #     status: "dns"
+    #   )
+    #
+    #   result.value!.status # => "dns"
+    #
+    class UpdateStatus
+      include Dry::Monads[:result]
+      include Import[
+        race_participation_repo: "repos.race_participation"
+      ]
+
+      STATUSES = %w[registered dns dnf].freeze
+
+      def call(race_id:, id:, status:)
+        unless STATUSES.include?(status)
+          return Failure([:invalid_status, "Status must be one of: #{STATUSES.join(', ')}"])
+        end
+
+        participation = race_participation_repo.find_in_race(race_id: race_id, id: id)
+        return Failure([:not_found, "Participation not found"]) unless participation
+
+        unless race_participation_repo.update(participation.id, status: status)
+          return Failure([:validation_error, "Could not update participation"])
+        end
+
+        Success(race_participation_repo.find_in_race(race_id: race_id, id: id))
+      end
+    end
+  end
+end
@@ -0,0 +1,82 @@
+# frozen_string_literal: true
+
+module Operations
+  module Reports
+    # Create Operation
+    #
+    # "Tap bib #34 → Report created" - the first step of the incident workflow.
+    # Every new report opens its own unofficial incident (1:1); VAR operators
+    # can merge incidents later. The new incident streams into the race page
+    # (IncidentBroadcaster), and jury presidents and VAR operators are alerted
+    # about it by Web Push (IncidentAlertJob).
+    #
+    # Idempotent on client_uuid: replaying the same report (offline outbox,
+    # double tap, retry after timeout) returns the existing report.
+    #
+    # Returns:
+    # - Success(Structs::Report) if created (or already existed)
+    # - Failure([:validation_failed, errors]) if params are invalid
+    # - Failure([:error, message]) if the records could not be written
+    #
+    # Example:
+    #   result = Operations::Reports::Create.new.call(
+    #     client_uuid: "9b2f0c1e-...",
+    #     race_id: 12,
+    #     user_id: 3,
+    #     bib_number: 34,
+    #     race_location_id: 7,
+    #     device_id: 4
+    #   )
+    #
+    class Create
+      include Dry::Monads[:result]
+      include Import[
+        report_repo: "repos.report",
+        incident_repo: "repos.incident",
+        incident_broadcaster: "broadcasters.incident"
+      ]
+
+      def call(params)
+        validation = Operations::Contracts::CreateReport.new.call(params)
+        return Failure([:validation_failed, validation.errors.to_h]) unless validation.success?
+
+        attrs = validation.to_h
+
+        existing = report_repo.find_by_client_uuid(attrs[:client_uuid])
+        return Success(existing) if existing
+
+        participation = RaceParticipation.find_by(race_id: attrs[:race_id], bib_number: attrs[:bib_number])
+
+        report = ActiveRecord::Base.transaction do
+          incident = Incident.create!(
+            race_id: attrs[:race_id],
+            race_location_id: attrs[:race_location_id]
+          )
+
+          Report.create!(
+            client_uuid: attrs[:client_uuid],
+            race_id: attrs[:race_id],
+            incident_id: incident.id,
+            user_id: attrs[:user_id],
+            race_location_id: attrs[:race_location_id],
+            race_participation_id: participation&.id,
+            athlete_id: participation&.athlete_id,
+            bib_number: attrs[:bib_number],
+            description: attrs[:description],
+            device_id: attrs[:device_id]
+          )
+        end
+
+        incident_broadcaster.created(incident_repo.find(report.incident_id))
+        IncidentAlertJob.perform_later(report.id)
+
+        Success(report_repo.find(report.id))
+      rescue ActiveRecord::RecordNotUnique
+        # Lost a race against a concurrent replay of the same report
+        Success(report_repo.find_by_client_uuid(attrs[:client_uuid]))
+      rescue ActiveRecord::RecordInvalid => e
+        Failure([:error, e.message])
+      end
+    end
+  end
+end
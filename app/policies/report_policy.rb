@@ -0,0 +1,15 @@
+# frozen_string_literal: true
+
+# ReportPolicy - Authorization rules for referee reports
+#
+# Permissions:
+# - Admins, referees and VAR operators: can create reports
+# - Others: No access
+#
+class ReportPolicy < ApplicationPolicy
+  # Create a report (tap a bib on the report pad)
+  # @return [Boolean]
+  def create?
+    admin? || referee? || var_operator?
+  end
+end
@@ -90,17 +90,22 @@ module Web
         end
 
         # DELETE /admin/competitions/:id
+        # A competition with races is only deleted (with its races) when the
+        # competition name was typed into the confirmation dialog
         def destroy
           competition_record = Competition.find(params[:id])
           
-          if competition_record.races.any?
+          if competition_record.races.any? && !name_confirmed?(competition_record)
             redirect_to admin_competitions_path, 
                        alert: "Cannot delete competition with existing races."
           else
-            competition_record.destroy
+            competition_record.destroy!
             redirect_to admin_competitions_path, 
                        notice: "Competition was successfully deleted."
           end
+        rescue ActiveRecord::RecordNotDestroyed, ActiveRecord::InvalidForeignKey
+          redirect_to admin_competition_path(competition_record),
+                     alert: "Competition could not be deleted: its races still have data attached."
         end
 
         private
@@ -109,6 +114,10 @@ module Web
           @competition = competition_repo.find!(params[:id])
         end
 
+        def name_confirmed?(competition_record)
+          params[:confirmation].to_s.strip == competition_record.name.to_s.strip
+        end
+
         def competition_params
           params.require(:competition).permit(
             :name,
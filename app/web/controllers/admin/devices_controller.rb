@@ -0,0 +1,64 @@
+# frozen_string_literal: true
+
+module Web
+  module Controllers
+    module Admin
+      # DevicesController - Kiosk setup: name devices and set their race location
+      #
+      # Devices register themselves on their first request (see
+      # Concerns::DeviceIdentification); this screen lists them and lets an
+      # admin give one a friendly name and location. On a kiosk, "This device"
+      # opens the setup of the browser in use.
+      #
+      # Routes:
+      #   GET   /admin/devices
+      #   GET   /admin/devices/:id/edit
+      #   PATCH /admin/devices/:id
+      #
+      class DevicesController < BaseController
+        before_action :set_device, only: [ :edit, :update ]
+
+        # GET /admin/devices
+        def index
+          @devices = device_repo.all
+        end
+
+        # GET /admin/devices/:id/edit
+        def edit
+          @location_names = device_repo.location_names
+        end
+
+        # PATCH /admin/devices/:id
+        def update
+          result = Operations::Devices::Assign.new.call(id: @device.id, **device_params)
+
+          case result
+          in Dry::Monads::Success(device)
+            redirect_to admin_devices_path, notice: "#{device.label} saved."
+          in Dry::Monads::Failure([:validation_failed, errors])
+            @errors = errors
+            @location_names = device_repo.location_names
+            render :edit, status: :unprocessable_entity
+          in Dry::Monads::Failure([_, message])
+            redirect_to admin_devices_path, alert: message
+          end
+        end
+
+        private
+
+        def set_device
+          @device = device_repo.find(params[:id])
+          redirect_to admin_devices_path, alert: "Device not found." unless @device
+        end
+
+        def device_params
+          params.require(:device).permit(:name, :location_name).to_h.symbolize_keys
+        end
+
+        def device_repo
+          @device_repo ||= AppContainer["repos.device"]
+        end
+      end
+    end
+  end
+end
@@ -27,6 +27,8 @@ module Web
         # - Reorder: Bulk update display_order values
         #
         class LocationTemplatesController < Admin::BaseController
+          include Concerns::Reordering
+
           before_action :set_race_type
           before_action :set_template, only: [:edit, :update, :destroy]
           after_action :verify_authorized
@@ -122,23 +124,46 @@ module Web
             authorize RaceTypeLocationTemplate
 
             order_params = params[:order] || {}
-            
+
+            if (error = invalid_order_error(order_params))
+              return reorder_failed(error)
+            end
+
             RaceTypeLocationTemplate.transaction do
               order_params.each do |id, position|
-                RaceTypeLocationTemplate.where(id: id, race_type_id: @race_type.id)
-                                       .update_all(display_order: position)
+                reorder_scope.where(id: id).update_all(display_order: position)
               end
             end
 
-            redirect_to admin_race_type_location_templates_path(@race_type),
-                       notice: "Template order updated successfully."
+            respond_to do |format|
+              # Sortable list (sortable_controller.js) - the page is already in order
+              format.json { head :no_content }
+              format.html do
+                redirect_to admin_race_type_location_templates_path(@race_type),
+                            notice: "Template order updated successfully."
+              end
+            end
+          rescue Pundit::NotAuthorizedError
+            raise # Handled by rescue_from
           rescue StandardError => e
-            redirect_to admin_race_type_location_templates_path(@race_type),
-                       alert: "Failed to reorder templates: #{e.message}"
+            reorder_failed(e.message)
           end
 
           private
 
+          # Concerns::Reordering hooks
+          def reorder_scope
+            RaceTypeLocationTemplate.where(race_type_id: @race_type.id)
+          end
+
+          def reorder_noun
+            "templates"
+          end
+
+          def reorder_redirect_path
+            admin_race_type_location_templates_path(@race_type)
+          end
+
           def set_race_type
             @race_type = race_type_repo.find(params[:race_type_id])
             unless @race_type
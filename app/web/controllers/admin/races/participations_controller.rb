@@ -10,12 +10,13 @@ module Web
         # allowing admins to add/remove athletes from races.
         #
         # Routes:
+        #   PATCH  /admin/competitions/:competition_id/races/:race_id/participations/:id
         #   DELETE /admin/competitions/:competition_id/races/:race_id/participations/:id
         #
         class ParticipationsController < Admin::BaseController
           before_action :set_competition
           before_action :set_race
-          before_action :set_participation, only: [:destroy]
+          before_action :set_participation, only: [:update, :destroy]
 
           # POST /admin/competitions/:competition_id/races/:race_id/participations/copy
           #
@@ -31,9 +32,11 @@ module Web
               return
             end
 
+            # Replayed from the offline outbox: the client_uuid makes it a no-op
             result = Operations::Athletes::CopyParticipants.new.call(
               target_race_id: @race.id,
-              source_race_id: source_race_id
+              source_race_id: source_race_id,
+              client_uuid: params[:client_uuid].presence || request.headers["X-Client-UUID"].presence
             )
 
             if result.success?
@@ -49,34 +52,76 @@ module Web
             end
           end
 
+          # PATCH /admin/competitions/:competition_id/races/:race_id/participations/:id
+          #
+          # Sets the participation status (swipe actions: DNS, DNF, back to registered)
+          def update
+            authorize @participation
+
+            result = Operations::RaceParticipations::UpdateStatus.new.call(
+              race_id: @race.id,
+              id: @participation.id,
+              status: params[:status].to_s
+            )
+
+            case result
+            in Dry::Monads::Success(participation)
+              respond_to do |format|
+                format.turbo_stream do
+                  render turbo_stream: turbo_stream.replace(
+                    "participation_#{participation.id}",
+                    partial: "admin/races/participation",
+                    locals: { participation: participation, competition: @competition, race: @race }
+                  )
+                end
+                format.html do
+                  redirect_to admin_competition_race_path(@competition, @race),
+                             notice: "#{participation.athlete&.display_name || 'Athlete'} marked #{participation.status.upcase}."
+                end
+              end
+            in Dry::Monads::Failure([_code, message])
+              respond_to do |format|
+                format.turbo_stream { render plain: message, status: :unprocessable_entity }
+                format.html do
+                  redirect_to admin_competition_race_path(@competition, @race), alert: message
+                end
+              end
+            end
+          end
+
           # DELETE /admin/competitions/:competition_id/races/:race_id/participations/:id
           #
-          # Removes an athlete from the race
+          # Removes an athlete from the race. The Turbo Stream response removes
+          # the row and updates the participant count; a refusal answers 422
+          # with the reason as plain text (shown in the swipe-delete toast).
           def destroy
             authorize @participation
 
-            if @participation.destroy
+            result = Operations::RaceParticipations::Delete.new.call(
+              race_id: @race.id,
+              id: @participation.id
+            )
+
+            case result
+            in Dry::Monads::Success(_)
               respond_to do |format|
                 format.turbo_stream do
-                  render turbo_stream: turbo_stream.remove("participation_#{@participation.id}")
+                  render turbo_stream: [
+                    turbo_stream.remove("participation_#{@participation.id}"),
+                    turbo_stream.update("participations_count", race_participation_repo.for_race(@race.id).size.to_s)
+                  ]
                 end
                 format.html do
                   redirect_to admin_competition_race_path(@competition, @race),
                              notice: "Athlete removed from race successfully."
                 end
               end
-            else
+            in Dry::Monads::Failure([_code, message])
               respond_to do |format|
-                format.turbo_stream do
-                  render turbo_stream: turbo_stream.replace(
-                    "participation_#{@participation.id}",
-                    partial: "admin/races/participation_error",
-                    locals: { participation: @participation }
-                  )
-                end
+                format.turbo_stream { render plain: message, status: :unprocessable_entity }
                 format.html do
                   redirect_to admin_competition_race_path(@competition, @race),
-                             alert: "Failed to remove athlete from race."
+                             alert: "Failed to remove athlete from race: #{message}"
                 end
               end
             end
@@ -116,6 +161,10 @@ module Web
           def race_repo
             @race_repo ||= AppContainer["repos.race"]
           end
+
+          def race_participation_repo
+            @race_participation_repo ||= AppContainer["repos.race_participation"]
+          end
         end
       end
     end
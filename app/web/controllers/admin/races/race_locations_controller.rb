@@ -24,6 +24,8 @@ module Web
         # - Reorder: Bulk update display_order values
         #
         class RaceLocationsController < Admin::BaseController
+          include Concerns::Reordering
+
           before_action :set_race
           before_action :set_competition
           before_action :set_race_location, only: [:edit, :update, :destroy]
@@ -129,22 +131,46 @@ module Web
             authorize RaceLocation
 
             order_params = params[:order] || {}
-            
+
+            if (error = invalid_order_error(order_params))
+              return reorder_failed(error)
+            end
+
             RaceLocation.transaction do
               order_params.each do |id, position|
-                RaceLocation.where(id: id, race_id: @race.id).update_all(display_order: position)
+                reorder_scope.where(id: id).update_all(display_order: position)
               end
             end
 
-            redirect_to admin_race_race_locations_path(@race),
-                       notice: "Location order updated successfully."
+            respond_to do |format|
+              # Sortable list (sortable_controller.js) - the page is already in order
+              format.json { head :no_content }
+              format.html do
+                redirect_to admin_race_race_locations_path(@race),
+                            notice: "Location order updated successfully."
+              end
+            end
+          rescue Pundit::NotAuthorizedError
+            raise # Handled by rescue_from
           rescue StandardError => e
-            redirect_to admin_race_race_locations_path(@race),
-                       alert: "Failed to reorder locations: #{e.message}"
+            reorder_failed(e.message)
           end
 
           private
 
+          # Concerns::Reordering hooks
+          def reorder_scope
+            RaceLocation.where(race_id: @race.id)
+          end
+
+          def reorder_noun
+            "locations"
+          end
+
+          def reorder_redirect_path
+            admin_race_race_locations_path(@race)
+          end
+
           def set_race
             @race = race_repo.find(params[:race_id])
             unless @race
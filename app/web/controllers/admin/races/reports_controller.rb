@@ -0,0 +1,66 @@
+# frozen_string_literal: true
+
+module Web
+  module Controllers
+    module Admin
+      module Races
+        # ReportsController - Quick reports from the touch report pad
+        #
+        # Called by report_pad_controller.js once a tap has outlived its undo
+        # window (directly, or replayed from the offline outbox). The device
+        # generates the client_uuid, so replays never create duplicates, and is
+        # recorded on the report (Current.device) for attribution.
+        #
+        # Routes:
+        #   POST /admin/races/:race_id/reports
+        #
+        class ReportsController < Admin::BaseController
+          before_action :set_race
+          after_action :verify_authorized
+
+          # POST /admin/races/:race_id/reports
+          def create
+            authorize Report
+
+            result = Operations::Reports::Create.new.call(
+              **report_params,
+              race_id: @race.id,
+              user_id: Current.user.id,
+              device_id: Current.device&.id
+            )
+
+            case result
+            in Dry::Monads::Success(report)
+              render json: {
+                client_uuid: report.client_uuid,
+                incident_id: report.incident_id,
+                bib_number: report.bib_number
+              }, status: :created
+            in Dry::Monads::Failure([:validation_failed, errors])
+              render json: { error: errors.values.flatten.first, errors: errors }, status: :unprocessable_entity
+            in Dry::Monads::Failure([_, message])
+              render json: { error: message }, status: :unprocessable_entity
+            end
+          end
+
+          private
+
+          def report_params
+            params.permit(:client_uuid, :bib_number, :race_location_id, :description)
+                  .to_h.symbolize_keys
+                  .transform_values(&:presence)
+          end
+
+          def set_race
+            @race = race_repo.find(params[:race_id])
+            head :not_found unless @race
+          end
+
+          def race_repo
+            @race_repo ||= AppContainer["repos.race"]
+          end
+        end
+      end
+    end
+  end
+end
@@ -40,6 +40,8 @@ module Web
           authorize @race
           # @race is already set by before_action as struct
           @participations = race_participation_repo.for_race(@race.id)
+          @race_locations = race_location_repo.for_touch_selector(@race.id)
+          @incidents = incident_repo.recent_for_race(@race.id)
         end
 
         # GET /admin/competitions/:competition_id/races/new
@@ -190,6 +192,14 @@ module Web
         def race_participation_repo
           @race_participation_repo ||= AppContainer["repos.race_participation"]
         end
+
+        def race_location_repo
+          @race_location_repo ||= AppContainer["repos.race_location"]
+        end
+
+        def incident_repo
+          @incident_repo ||= AppContainer["repos.incident"]
+        end
       end
     end
   end
@@ -6,12 +6,14 @@ module Web
     #
     # Provides:
     # - Authentication (via concern)
+    # - Device identification (via concern, Current.device)
     # - Authorization (Pundit)
     # - Turbo Native variant detection
     # - Parts factory access for wrapping structs
     #
     class ApplicationController < ActionController::Base
       include Concerns::Authentication
+      include Concerns::DeviceIdentification
       include Pundit::Authorization
 
       # Dynamic layout selection based on touch mode
@@ -152,7 +154,19 @@ module Web
       end
 
       def user_not_authorized
-        flash[:alert] = "You are not authorized to perform this action."
+        message = "You are not authorized to perform this action."
+
+        # A redirect would look like success to fetch() callers
+        if background_request?
+          if request.format.json?
+            render json: { error: message }, status: :forbidden
+          else
+            render plain: message, status: :forbidden
+          end
+          return
+        end
+
+        flash[:alert] = message
         redirect_back(fallback_location: root_path)
       end
 
@@ -0,0 +1,44 @@
+# frozen_string_literal: true
+
+module Web
+  module Controllers
+    # Receives batches of browser errors from lib/error_reporter.js
+    #
+    # Open to signed-out pages too (the sign-in screen breaks as well), so it
+    # is rate limited per IP. Errors are forwarded by
+    # Operations::ClientErrors::Report.
+    #
+    # Routes:
+    #   POST /client_errors
+    #
+    class ClientErrorsController < ApplicationController
+      allow_unauthenticated_access only: :create
+      rate_limit to: 30, within: 1.minute, only: :create, with: -> { head :too_many_requests }
+
+      # POST /client_errors
+      def create
+        result = Operations::ClientErrors::Report.new.call(
+          client_errors: client_errors_params,
+          user_id: Current.user&.id,
+          device_label: Current.device&.label,
+          user_agent: request.user_agent
+        )
+
+        case result
+        in Dry::Monads::Success(count)
+          render json: { received: count }, status: :accepted
+        in Dry::Monads::Failure([:validation_failed, errors])
+          render json: { errors: errors }, status: :unprocessable_entity
+        end
+      end
+
+      private
+
+      def client_errors_params
+        params.permit(
+          client_errors: [:message, :source, :stack, :controller, :url, :device_id, :touch_mode, :occurred_at, :count]
+        ).to_h.deep_symbolize_keys.fetch(:client_errors, [])
+      end
+    end
+  end
+end
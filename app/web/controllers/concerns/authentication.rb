@@ -41,10 +41,19 @@ module Web
           end
 
           def request_authentication
+            # fetch() callers can't follow a redirect to the sign-in page
+            return head(:unauthorized) if background_request?
+
             session[:return_to_after_authenticating] = request.url
             redirect_to new_session_path
           end
 
+          # Requests from Stimulus controllers that only accept a Turbo Stream
+          # or JSON (swipe actions, report pad) - not page visits or Turbo forms
+          def background_request?
+            request.accepts.none? { |type| type == Mime[:html] || type == Mime::ALL }
+          end
+
           def after_authentication_url
             session.delete(:return_to_after_authenticating) || root_url
           end
@@ -0,0 +1,45 @@
+# frozen_string_literal: true
+
+module Web
+  module Controllers
+    module Concerns
+      # Identifies the browser by the UUID it generated (lib/device_identity.js)
+      #
+      # The id arrives as the X-Device-UUID header on Turbo and fetch requests,
+      # and as the device_uuid cookie on full page loads and service worker
+      # replays. Unknown devices are registered on their first signed-in
+      # request; signed-out requests (sign-in page, client error reports) only
+      # look up known devices, so visitors cannot fill the Admin → Devices list.
+      # Current.device is nil for browsers that have not run the app's
+      # JavaScript yet.
+      #
+      module DeviceIdentification
+        extend ActiveSupport::Concern
+
+        DEVICE_HEADER = "X-Device-UUID"
+        UUID_FORMAT = /\A\h{8}-\h{4}-\h{4}-\h{4}-\h{12}\z/
+
+        included do
+          before_action :identify_device
+        end
+
+        private
+          def identify_device
+            uuid = (request.headers[DEVICE_HEADER].presence || cookies[:device_uuid]).to_s.downcase
+            return unless uuid.match?(UUID_FORMAT)
+
+            Current.device =
+              if authenticated?
+                device_repo.record_seen(uuid, user_agent: request.user_agent)
+              else
+                device_repo.find_by_uuid(uuid)
+              end
+          end
+
+          def device_repo
+            @device_repo ||= AppContainer["repos.device"]
+          end
+      end
+    end
+  end
+end
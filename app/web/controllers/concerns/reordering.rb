@@ -0,0 +1,49 @@
+# frozen_string_literal: true
+
+module Web
+  module Controllers
+    module Concerns
+      # Shared validation and error responses for the admin reorder actions
+      #
+      # The sortable lists (sortable_controller.js) post
+      # order[<id>]=<display_order> as JSON and expect 204, or 422 with an
+      # error; the plain form fallback gets a redirect with an alert.
+      #
+      # Including controllers define:
+      # - reorder_scope: records the order may touch (e.g. the race's locations)
+      # - reorder_noun: plural used in messages ("locations")
+      # - reorder_redirect_path: where HTML requests go back to
+      #
+      module Reordering
+        extend ActiveSupport::Concern
+
+        POSITION_FORMAT = /\A\d+\z/
+
+        private
+          # Positions must be whole numbers and every id must be in reorder_scope
+          def invalid_order_error(order_params)
+            return "No order given" if order_params.empty?
+
+            unless order_params.values.all? { |position| position.to_s.match?(POSITION_FORMAT) }
+              return "Positions must be whole numbers"
+            end
+
+            ids = order_params.keys.map(&:to_s)
+            known_ids = reorder_scope.where(id: ids).pluck(:id).map(&:to_s)
+            return "Unknown #{reorder_noun} in order" unless (ids - known_ids).empty?
+
+            nil
+          end
+
+          def reorder_failed(message)
+            error = "Failed to reorder #{reorder_noun}: #{message}"
+
+            respond_to do |format|
+              format.json { render json: { error: error }, status: :unprocessable_entity }
+              format.html { redirect_to reorder_redirect_path, alert: error }
+            end
+          end
+      end
+    end
+  end
+end
@@ -0,0 +1,51 @@
+# frozen_string_literal: true
+
+module Web
+  module Controllers
+    # Stores and removes the current user's Web Push subscriptions
+    #
+    # Called from push_subscription_controller.js with the JSON produced by
+    # PushSubscription#toJSON(). A browser has one endpoint, so the endpoint
+    # in the body identifies the subscription for both actions.
+    #
+    # Routes:
+    #   POST   /push_subscription
+    #   DELETE /push_subscription
+    #
+    class PushSubscriptionsController < ApplicationController
+      # POST /push_subscription
+      def create
+        result = Operations::PushSubscriptions::Subscribe.new.call(
+          user_id: Current.user.id,
+          subscription: subscription_params,
+          user_agent: request.user_agent
+        )
+
+        case result
+        in Dry::Monads::Success(subscription)
+          render json: { id: subscription.id }, status: :created
+        in Dry::Monads::Failure([:validation_failed, errors])
+          render json: { errors: errors }, status: :unprocessable_entity
+        in Dry::Monads::Failure([_, message])
+          render json: { errors: { base: [message] } }, status: :unprocessable_entity
+        end
+      end
+
+      # DELETE /push_subscription
+      def destroy
+        push_subscription_repo.delete_for_user(Current.user.id, params[:endpoint].to_s)
+        head :no_content
+      end
+
+      private
+
+      def subscription_params
+        params.permit(:endpoint, keys: [:p256dh, :auth]).to_h.deep_symbolize_keys
+      end
+
+      def push_subscription_repo
+        @push_subscription_repo ||= AppContainer["repos.push_subscription"]
+      end
+    end
+  end
+end
@@ -7,6 +7,7 @@ pin "@hotwired/turbo-rails", to: "turbo.min.js"
 pin "@hotwired/stimulus", to: "stimulus.min.js"
 pin "@hotwired/stimulus-loading", to: "stimulus-loading.js"
 pin_all_from "app/javascript/controllers", under: "controllers"
+pin_all_from "app/javascript/lib", under: "lib"
 
 # Virtual keyboard for touch displays
 pin "simple-keyboard", to: "https://ga.jspm.io/npm:simple-keyboard@3.8.93/build/index.js"
@@ -46,6 +46,10 @@ class AppContainer
       MagicLinkRepo.new
     end
 
+    register :push_subscription, memoize: true do
+      PushSubscriptionRepo.new
+    end
+
     register :competition, memoize: true do
       CompetitionRepo.new
     end
@@ -77,6 +81,18 @@ class AppContainer
     register :race_location, memoize: true do
       RaceLocationRepo.new
     end
+
+    register :report, memoize: true do
+      ReportRepo.new
+    end
+
+    register :incident, memoize: true do
+      IncidentRepo.new
+    end
+
+    register :device, memoize: true do
+      DeviceRepo.new
+    end
   end
 
   # ============================================================================
@@ -0,0 +1,99 @@
+# frozen_string_literal: true
+
+# Custom Turbo Stream actions
+#
+# The client side is registered in app/javascript/lib/toasts.js (toast) and
+# app/javascript/lib/stream_actions.js (everything else).
+#
+#   # In a controller's turbo_stream response
+#   turbo_stream.toast("Jane Doe marked DNS", type: :success)
+#   turbo_stream.highlight(dom_id(incident))
+#   turbo_stream.set_badge_count("incidents_badge", 3)
+#
+#   # From a broadcaster (BaseBroadcaster)
+#   broadcast_toast("admin_users", "New user signed up", type: :info)
+#   broadcast_stream_action(stream, :vibrate, **TurboStreamActions.vibrate_attributes([200, 100, 200]))
+#
+module TurboStreamActions
+  TOAST_TYPES = %w[success error info undo].freeze
+  SOUNDS = %w[alert success error notify].freeze
+  SCROLL_BLOCKS = %w[start center end nearest].freeze
+
+  # Attributes of <turbo-stream action="toast">
+  def self.toast_attributes(message, type: :info, duration: nil, action_label: nil, action_event: nil)
+    type = type.to_s
+    raise ArgumentError, "Unknown toast type: #{type}" unless TOAST_TYPES.include?(type)
+
+    {
+      "message" => message,
+      "type" => type,
+      "duration" => duration,
+      "action-label" => action_label,
+      "action-event" => action_event
+    }.compact
+  end
+
+  # Vibration pattern in ms: 200 or [200, 100, 200]
+  def self.vibrate_attributes(pattern = 200)
+    { "pattern" => Array(pattern).map { |ms| Integer(ms) }.join(",") }
+  end
+
+  def self.play_sound_attributes(sound)
+    sound = sound.to_s
+    raise ArgumentError, "Unknown sound: #{sound}" unless SOUNDS.include?(sound)
+
+    { "sound" => sound }
+  end
+
+  def self.scroll_into_view_attributes(block: :center)
+    block = block.to_s
+    raise ArgumentError, "Unknown scroll block: #{block}" unless SCROLL_BLOCKS.include?(block)
+
+    { "block" => block }
+  end
+
+  def self.set_badge_count_attributes(count)
+    { "count" => [ Integer(count), 0 ].max }
+  end
+
+  def self.redirect_attributes(url, replace: false)
+    { "url" => url, "visit" => (replace ? "replace" : nil) }.compact
+  end
+
+  def toast(message, **options)
+    turbo_stream_action_tag :toast, **TurboStreamActions.toast_attributes(message, **options).symbolize_keys
+  end
+
+  # Pulse the target row (or rows, with targets:)
+  def highlight(target = nil, targets: nil)
+    turbo_stream_action_tag :highlight, target: target, targets: targets
+  end
+
+  def vibrate(pattern = 200)
+    turbo_stream_action_tag :vibrate, **TurboStreamActions.vibrate_attributes(pattern).symbolize_keys
+  end
+
+  def play_sound(sound = :notify)
+    turbo_stream_action_tag :play_sound, **TurboStreamActions.play_sound_attributes(sound).symbolize_keys
+  end
+
+  def scroll_into_view(target, block: :center)
+    turbo_stream_action_tag :scroll_into_view, target: target,
+      **TurboStreamActions.scroll_into_view_attributes(block: block).symbolize_keys
+  end
+
+  # Without a target the installed app's icon badge is set
+  def set_badge_count(target = nil, count)
+    turbo_stream_action_tag :set_badge_count, target: target,
+      **TurboStreamActions.set_badge_count_attributes(count).symbolize_keys
+  end
+
+  # Same-origin URLs only (checked on the client)
+  def redirect(url, replace: false)
+    turbo_stream_action_tag :redirect, **TurboStreamActions.redirect_attributes(url, replace: replace).symbolize_keys
+  end
+end
+
+Rails.application.config.to_prepare do
+  Turbo::Streams::TagBuilder.prepend(TurboStreamActions) unless Turbo::Streams::TagBuilder < TurboStreamActions
+end
@@ -5,11 +5,20 @@ Rails.application.routes.draw do
   resource :session, controller: "web/controllers/sessions"
   resources :passwords, param: :token, controller: "web/controllers/passwords"
 
+  # Web Push subscription of the current browser (jury / VAR alerts)
+  resource :push_subscription, only: [:create, :destroy], controller: "web/controllers/push_subscriptions"
+
+  # Browser errors reported by lib/error_reporter.js (forwarded to AppSignal)
+  resources :client_errors, only: [:create], controller: "web/controllers/client_errors"
+
   # Admin namespace - using web layer controllers
   namespace :admin, module: "web/controllers/admin" do
     root to: "dashboard#index"
     resources :users
     resources :penalties, only: [:index]
+
+    # Kiosk setup: friendly name and race location per device
+    resources :devices, only: [:index, :edit, :update]
     
     # Race type location templates
     resources :race_types, only: [] do
@@ -22,7 +31,7 @@ Rails.application.routes.draw do
     
     resources :competitions do
       resources :races do
-        resources :participations, only: [:destroy], controller: "races/participations" do
+        resources :participations, only: [:update, :destroy], controller: "races/participations" do
           collection do
             post :copy
           end
@@ -38,6 +47,11 @@ Rails.application.routes.draw do
         end
       end
     end
+
+    # Quick reports from the touch report pad
+    resources :races, only: [] do
+      resources :reports, only: [:create], controller: "races/reports"
+    end
     
     # Athlete import routes (nested under races)
     resources :races, only: [] do
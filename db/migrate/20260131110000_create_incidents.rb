@@ -0,0 +1,24 @@
+class CreateIncidents < ActiveRecord::Migration[8.1]
+  def change
+    create_table :incidents do |t|
+      t.references :race, null: false, foreign_key: true
+      t.references :race_location, foreign_key: true
+      t.string :status, null: false, default: "unofficial"
+      t.string :decision, null: false, default: "pending"
+      t.text :description
+      t.datetime :officialized_at
+      t.bigint :officialized_by
+      t.datetime :decided_at
+      t.bigint :decided_by
+      t.integer :reports_count, null: false, default: 0
+
+      t.timestamps
+    end
+
+    add_index :incidents, :status
+    add_index :incidents, :decision
+    add_index :incidents, [:race_id, :status]
+    add_foreign_key :incidents, :users, column: :officialized_by
+    add_foreign_key :incidents, :users, column: :decided_by
+  end
+end
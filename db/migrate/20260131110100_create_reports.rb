@@ -0,0 +1,23 @@
+class CreateReports < ActiveRecord::Migration[8.1]
+  def change
+    create_table :reports do |t|
+      t.uuid :client_uuid, null: false
+      t.references :race, null: false, foreign_key: true
+      t.references :incident, null: false, foreign_key: true
+      t.references :user, null: false, foreign_key: true
+      t.references :race_location, foreign_key: true
+      t.references :race_participation, foreign_key: true
+      t.references :athlete, foreign_key: true
+      t.integer :bib_number, null: false
+      t.integer :athlete_position
+      t.text :description
+      t.jsonb :video_clip
+
+      t.timestamps
+    end
+
+    add_index :reports, :client_uuid, unique: true
+    add_index :reports, :bib_number
+    add_index :reports, :created_at
+  end
+end
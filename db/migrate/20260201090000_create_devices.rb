@@ -0,0 +1,21 @@
+class CreateDevices < ActiveRecord::Migration[8.1]
+  def change
+    # Browsers identify themselves with a UUID they generate (lib/device_identity.js).
+    # The sync columns from docs/OFFLINE_SYNC_STRATEGY.md (system_mode,
+    # api_token_digest, ...) are added with the sync endpoints.
+    create_table :devices do |t|
+      t.uuid :device_uuid, null: false
+      t.string :name
+      t.string :location_name
+      t.string :user_agent
+      t.datetime :last_seen_at
+
+      t.timestamps
+    end
+
+    add_index :devices, :device_uuid, unique: true
+    add_index :devices, :last_seen_at
+
+    add_reference :reports, :device, foreign_key: true
+  end
+end
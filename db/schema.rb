@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.1].define(version: 2026_01_30_194536) do
+ActiveRecord::Schema[8.1].define(version: 2026_02_01_090000) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
 
@@ -71,6 +71,38 @@ ActiveRecord::Schema[8.1].define(version: 2026_01_30_194536) do
     t.index ["start_date"], name: "index_competitions_on_start_date"
   end
 
+  create_table "devices", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.uuid "device_uuid", null: false
+    t.datetime "last_seen_at"
+    t.string "location_name"
+    t.string "name"
+    t.datetime "updated_at", null: false
+    t.string "user_agent"
+    t.index ["device_uuid"], name: "index_devices_on_device_uuid", unique: true
+    t.index ["last_seen_at"], name: "index_devices_on_last_seen_at"
+  end
+
+  create_table "incidents", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.datetime "decided_at"
+    t.bigint "decided_by"
+    t.string "decision", default: "pending", null: false
+    t.text "description"
+    t.datetime "officialized_at"
+    t.bigint "officialized_by"
+    t.bigint "race_id", null: false
+    t.bigint "race_location_id"
+    t.integer "reports_count", default: 0, null: false
+    t.string "status", default: "unofficial", null: false
+    t.datetime "updated_at", null: false
+    t.index ["decision"], name: "index_incidents_on_decision"
+    t.index ["race_id", "status"], name: "index_incidents_on_race_id_and_status"
+    t.index ["race_id"], name: "index_incidents_on_race_id"
+    t.index ["race_location_id"], name: "index_incidents_on_race_location_id"
+    t.index ["status"], name: "index_incidents_on_status"
+  end
+
   create_table "magic_links", force: :cascade do |t|
     t.datetime "created_at", null: false
     t.datetime "expires_at"
@@ -98,6 +130,18 @@ ActiveRecord::Schema[8.1].define(version: 2026_01_30_194536) do
     t.index ["penalty_number"], name: "index_penalties_on_penalty_number", unique: true
   end
 
+  create_table "push_subscriptions", force: :cascade do |t|
+    t.string "auth_key", null: false
+    t.datetime "created_at", null: false
+    t.text "endpoint", null: false
+    t.string "p256dh_key", null: false
+    t.datetime "updated_at", null: false
+    t.string "user_agent"
+    t.bigint "user_id", null: false
+    t.index ["endpoint"], name: "index_push_subscriptions_on_endpoint", unique: true
+    t.index ["user_id"], name: "index_push_subscriptions_on_user_id"
+  end
+
   create_table "race_locations", force: :cascade do |t|
     t.string "color_code"
     t.string "course_segment", null: false
@@ -181,6 +225,33 @@ ActiveRecord::Schema[8.1].define(version: 2026_01_30_194536) do
     t.index ["status"], name: "index_races_on_status"
   end
 
+  create_table "reports", force: :cascade do |t|
+    t.bigint "athlete_id"
+    t.integer "athlete_position"
+    t.integer "bib_number", null: false
+    t.uuid "client_uuid", null: false
+    t.datetime "created_at", null: false
+    t.text "description"
+    t.bigint "device_id"
+    t.bigint "incident_id", null: false
+    t.bigint "race_id", null: false
+    t.bigint "race_location_id"
+    t.bigint "race_participation_id"
+    t.datetime "updated_at", null: false
+    t.bigint "user_id", null: false
+    t.jsonb "video_clip"
+    t.index ["athlete_id"], name: "index_reports_on_athlete_id"
+    t.index ["bib_number"], name: "index_reports_on_bib_number"
+    t.index ["client_uuid"], name: "index_reports_on_client_uuid", unique: true
+    t.index ["created_at"], name: "index_reports_on_created_at"
+    t.index ["device_id"], name: "index_reports_on_device_id"
+    t.index ["incident_id"], name: "index_reports_on_incident_id"
+    t.index ["race_id"], name: "index_reports_on_race_id"
+    t.index ["race_location_id"], name: "index_reports_on_race_location_id"
+    t.index ["race_participation_id"], name: "index_reports_on_race_participation_id"
+    t.index ["user_id"], name: "index_reports_on_user_id"
+  end
+
   create_table "roles", force: :cascade do |t|
     t.datetime "created_at", null: false
     t.string "name"
@@ -226,7 +297,12 @@ ActiveRecord::Schema[8.1].define(version: 2026_01_30_194536) do
 
   add_foreign_key "active_storage_attachments", "active_storage_blobs", column: "blob_id"
   add_foreign_key "active_storage_variant_records", "active_storage_blobs", column: "blob_id"
+  add_foreign_key "incidents", "race_locations"
+  add_foreign_key "incidents", "races"
+  add_foreign_key "incidents", "users", column: "decided_by"
+  add_foreign_key "incidents", "users", column: "officialized_by"
   add_foreign_key "magic_links", "users"
+  add_foreign_key "push_subscriptions", "users"
   add_foreign_key "race_locations", "races"
   add_foreign_key "race_participations", "athletes"
   add_foreign_key "race_participations", "races"
@@ -234,6 +310,13 @@ ActiveRecord::Schema[8.1].define(version: 2026_01_30_194536) do
   add_foreign_key "race_type_location_templates", "race_types"
   add_foreign_key "races", "competitions"
   add_foreign_key "races", "race_types"
+  add_foreign_key "reports", "athletes"
+  add_foreign_key "reports", "devices"
+  add_foreign_key "reports", "incidents"
+  add_foreign_key "reports", "race_locations"
+  add_foreign_key "reports", "race_participations"
+  add_foreign_key "reports", "races"
+  add_foreign_key "reports", "users"
   add_foreign_key "sessions", "users"
   add_foreign_key "teams", "athletes", column: "athlete_1_id"
   add_foreign_key "teams", "athletes", column: "athlete_2_id"
@@ -0,0 +1,143 @@
+# frozen_string_literal: true
+
+require "base64"
+require "json"
+require "net/http"
+require "openssl"
+
+module IsmfRaceLogger
+  # Minimal Web Push sender: VAPID authentication (RFC 8292) and aes128gcm
+  # payload encryption (RFC 8291), on Ruby's OpenSSL only.
+  #
+  # Keys come from the credentials:
+  #   vapid:
+  #     public_key:  URL-safe base64, uncompressed P-256 point (also used by the browser)
+  #     private_key: URL-safe base64, 32-byte private scalar
+  #     subject:     "mailto:..." contact for the push services (optional)
+  #
+  # A new key pair:
+  #   key = OpenSSL::PKey::EC.generate("prime256v1")
+  #   Base64.urlsafe_encode64(key.public_key.to_octet_string(:uncompressed), padding: false) # public_key
+  #   Base64.urlsafe_encode64(key.private_key.to_s(2), padding: false)                       # private_key
+  #
+  # Example:
+  #   web_push = IsmfRaceLogger::WebPush.from_credentials
+  #   response = web_push.deliver(
+  #     endpoint: subscription.endpoint,
+  #     p256dh: subscription.p256dh_key,
+  #     auth: subscription.auth_key,
+  #     payload: { title: "New incident", options: { body: "Bib 34" } }
+  #   )
+  #   response.code # => "201"
+  #
+  class WebPush
+    DEFAULT_SUBJECT = "mailto:onboarding@resend.dev"
+    RECORD_SIZE = 4096
+    TOKEN_LIFETIME = 12 * 60 * 60
+    TIMEOUT = 10
+
+    # Push service answers meaning the subscription no longer exists
+    GONE_STATUSES = %w[404 410].freeze
+
+    def self.from_credentials
+      credentials = Rails.application.credentials
+      public_key = credentials.dig(:vapid, :public_key)
+      private_key = credentials.dig(:vapid, :private_key)
+      return nil if public_key.blank? || private_key.blank?
+
+      new(public_key: public_key, private_key: private_key, subject: credentials.dig(:vapid, :subject) || DEFAULT_SUBJECT)
+    end
+
+    # The subscription was removed (browser unsubscribed, app data cleared)
+    def self.gone?(response)
+      GONE_STATUSES.include?(response.code)
+    end
+
+    def initialize(public_key:, private_key:, subject: DEFAULT_SUBJECT)
+      @public_key = public_key
+      @subject = subject
+      @signing_key = ec_key(decode(private_key), decode(public_key))
+    end
+
+    # @return [Net::HTTPResponse]
+    def deliver(endpoint:, p256dh:, auth:, payload:, ttl: 3600, urgency: "high")
+      uri = URI(endpoint)
+      body = encrypt(payload.is_a?(String) ? payload : payload.to_json, decode(p256dh), decode(auth))
+
+      request = Net::HTTP::Post.new(uri)
+      request["Authorization"] = "vapid t=#{vapid_token(uri)}, k=#{@public_key}"
+      request["Content-Encoding"] = "aes128gcm"
+      request["Content-Type"] = "application/octet-stream"
+      request["TTL"] = ttl.to_s
+      request["Urgency"] = urgency
+      request.body = body
+
+      Net::HTTP.start(uri.host, uri.port, use_ssl: uri.scheme == "https", open_timeout: TIMEOUT, read_timeout: TIMEOUT) do |http|
+        http.request(request)
+      end
+    end
+
+    private
+
+    # RFC 8291: one aes128gcm record, keyed from an ECDH exchange with a
+    # throwaway key pair and the subscription's auth secret
+    def encrypt(plaintext, client_public, auth_secret)
+      group = OpenSSL::PKey::EC::Group.new("prime256v1")
+      server_key = OpenSSL::PKey::EC.generate("prime256v1")
+      server_public = server_key.public_key.to_octet_string(:uncompressed)
+      shared_secret = server_key.dh_compute_key(OpenSSL::PKey::EC::Point.new(group, OpenSSL::BN.new(client_public, 2)))
+
+      prk_key = hmac(auth_secret, shared_secret)
+      ikm = hmac(prk_key, "WebPush: info\0".b + client_public + server_public + "\x01".b)
+
+      salt = OpenSSL::Random.random_bytes(16)
+      prk = hmac(salt, ikm)
+      content_key = hmac(prk, "Content-Encoding: aes128gcm\0\x01".b).byteslice(0, 16)
+      nonce = hmac(prk, "Content-Encoding: nonce\0\x01".b).byteslice(0, 12)
+
+      cipher = OpenSSL::Cipher.new("aes-128-gcm").encrypt
+      cipher.key = content_key
+      cipher.iv = nonce
+      # 0x02 marks the last (and only) record, without padding
+      ciphertext = cipher.update(plaintext.b + "\x02".b) + cipher.final
+
+      salt + [ RECORD_SIZE ].pack("N") + [ server_public.bytesize ].pack("C") + server_public + ciphertext + cipher.auth_tag
+    end
+
+    # RFC 8292: ES256 JWT for the push service's origin
+    def vapid_token(uri)
+      header = encode({ typ: "JWT", alg: "ES256" }.to_json)
+      claims = encode({ aud: "#{uri.scheme}://#{uri.host}", exp: Time.now.to_i + TOKEN_LIFETIME, sub: @subject }.to_json)
+      signing_input = "#{header}.#{claims}"
+
+      der = @signing_key.sign(OpenSSL::Digest.new("SHA256"), signing_input)
+      # JWS wants r || s, OpenSSL returns them DER encoded
+      signature = OpenSSL::ASN1.decode(der).value.map { |int| int.value.to_s(2).rjust(32, "\0".b) }.join
+
+      "#{signing_input}.#{encode(signature)}"
+    end
+
+    # OpenSSL 3 keys are immutable: build the private key from its DER form
+    def ec_key(private_scalar, public_point)
+      der = OpenSSL::ASN1::Sequence([
+        OpenSSL::ASN1::Integer(1),
+        OpenSSL::ASN1::OctetString(private_scalar.rjust(32, "\0".b)),
+        OpenSSL::ASN1::ObjectId("prime256v1", 0, :EXPLICIT),
+        OpenSSL::ASN1::BitString(public_point, 1, :EXPLICIT)
+      ]).to_der
+      OpenSSL::PKey::EC.new(der)
+    end
+
+    def hmac(key, data)
+      OpenSSL::HMAC.digest("SHA256", key, data)
+    end
+
+    def encode(bytes)
+      Base64.urlsafe_encode64(bytes, padding: false)
+    end
+
+    def decode(string)
+      Base64.urlsafe_decode64(string.to_s.tr("=", "").then { |s| s + "=" * (-s.length % 4) })
+    end
+  end
+end
@@ -0,0 +1,14 @@
+# frozen_string_literal: true
+
+FactoryBot.define do
+  factory :device do
+    device_uuid { SecureRandom.uuid }
+    user_agent { "Mozilla/5.0 (X11; Linux aarch64) Raspberry Pi" }
+    last_seen_at { Time.current }
+
+    trait :assigned do
+      name { "Pi 2" }
+      location_name { "Start Gate 2" }
+    end
+  end
+end
@@ -6,6 +6,7 @@ RSpec.describe Race do
   describe "associations" do
     it { is_expected.to belong_to(:competition) }
     it { is_expected.to belong_to(:race_type) }
+    it { is_expected.to have_many(:incidents).dependent(:destroy) }
   end
 
   describe "model is thin (Hanami-hybrid architecture)" do
@@ -95,4 +96,32 @@ RSpec.describe Race do
       expect(race).to be_valid
     end
   end
-end
\ No newline at end of file
+
+  describe "destroying" do
+    let(:race) { create(:race) }
+    let(:location) { create(:race_location, race: race) }
+    let(:athlete) { Athlete.create!(first_name: "Jane", last_name: "Doe", country: "SUI", gender: "F") }
+    let(:participation) { RaceParticipation.create!(race: race, athlete: athlete, bib_number: 34) }
+    let(:incident) { Incident.create!(race: race, race_location: location) }
+
+    before do
+      Report.create!(
+        client_uuid: "0b6f1c2e-6d3a-4f7e-9a51-2c8e4d1f7a90",
+        race: race,
+        incident: incident,
+        user: create(:user, :admin),
+        race_location: location,
+        race_participation: participation,
+        bib_number: 34
+      )
+    end
+
+    it "removes its incidents and reports before the participations and locations they reference" do
+      expect { race.destroy! }
+        .to change(Report, :count).by(-1)
+        .and change(Incident, :count).by(-1)
+        .and change(RaceParticipation, :count).by(-1)
+        .and change(RaceLocation, :count).by(-1)
+    end
+  end
+end
@@ -0,0 +1,75 @@
+# frozen_string_literal: true
+
+require "rails_helper"
+
+RSpec.describe Operations::PushSubscriptions::Notify do
+  subject(:operation) { described_class.new(web_push: web_push) }
+
+  let(:web_push) { instance_double(IsmfRaceLogger::WebPush) }
+  let(:notification) { { title: "New incident · Bib 34", body: "Top 1 · Final", path: "/admin/competitions/1/races/2", tag: "incident-1" } }
+
+  def subscribe(user, endpoint)
+    PushSubscription.create!(user: user, endpoint: endpoint, p256dh_key: "BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA", auth_key: "tBHItJI5svbpez7KI4CCXg")
+  end
+
+  def response(klass, code)
+    klass.new("1.1", code, "")
+  end
+
+  describe "#call" do
+    before do
+      subscribe(create(:user, :jury_president), "https://push.example/jury")
+      subscribe(create(:user, :admin), "https://push.example/admin")
+      subscribe(create(:user, :national_referee), "https://push.example/referee")
+    end
+
+    it "notifies jury presidents, VAR operators and admins" do
+      allow(web_push).to receive(:deliver).and_return(response(Net::HTTPCreated, "201"))
+
+      result = operation.call(**notification)
+
+      expect(result).to eq(Dry::Monads::Success(2))
+      expect(web_push).to have_received(:deliver).with(hash_including(endpoint: "https://push.example/jury"))
+      expect(web_push).to have_received(:deliver).with(hash_including(endpoint: "https://push.example/admin"))
+      expect(web_push).not_to have_received(:deliver).with(hash_including(endpoint: "https://push.example/referee"))
+    end
+
+    it "sends the payload the service worker expects" do
+      allow(web_push).to receive(:deliver).and_return(response(Net::HTTPCreated, "201"))
+
+      operation.call(**notification)
+
+      expect(web_push).to have_received(:deliver).with(hash_including(
+        payload: { title: "New incident · Bib 34", options: { body: "Top 1 · Final", tag: "incident-1", data: { path: "/admin/competitions/1/races/2" } } }
+      )).twice
+    end
+
+    it "deletes subscriptions the push service reports as gone" do
+      allow(web_push).to receive(:deliver).and_return(response(Net::HTTPCreated, "201"))
+      allow(web_push).to receive(:deliver).with(hash_including(endpoint: "https://push.example/jury")).and_return(response(Net::HTTPGone, "410"))
+
+      result = operation.call(**notification)
+
+      expect(result).to eq(Dry::Monads::Success(1))
+      expect(PushSubscription.where(endpoint: "https://push.example/jury")).not_to exist
+    end
+
+    it "keeps going when one push service fails" do
+      allow(web_push).to receive(:deliver).and_return(response(Net::HTTPCreated, "201"))
+      allow(web_push).to receive(:deliver).with(hash_including(endpoint: "https://push.example/jury")).and_raise(Net::OpenTimeout)
+
+      result = operation.call(**notification)
+
+      expect(result).to eq(Dry::Monads::Success(1))
+      expect(PushSubscription.count).to eq(3)
+    end
+
+    context "without VAPID keys" do
+      let(:web_push) { nil }
+
+      it "returns Failure(:not_configured)" do
+        expect(operation.call(**notification).failure.first).to eq(:not_configured)
+      end
+    end
+  end
+end
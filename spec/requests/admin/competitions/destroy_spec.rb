@@ -0,0 +1,72 @@
+# frozen_string_literal: true
+
+require "rails_helper"
+
+RSpec.describe "Admin competition deletion", type: :request do
+  let(:admin_user) { create(:user, :admin) }
+  let(:competition) { create(:competition) }
+
+  before do
+    sign_in(admin_user)
+  end
+
+  describe "DELETE /admin/competitions/:id" do
+    it "deletes a competition without races" do
+      delete admin_competition_path(competition)
+
+      expect(response).to redirect_to(admin_competitions_path)
+      expect(Competition.exists?(competition.id)).to be(false)
+    end
+
+    context "with races" do
+      let!(:race) { create(:race, competition: competition) }
+
+      it "refuses without the typed name" do
+        delete admin_competition_path(competition)
+
+        expect(response).to redirect_to(admin_competitions_path)
+        expect(flash[:alert]).to eq("Cannot delete competition with existing races.")
+        expect(Competition.exists?(competition.id)).to be(true)
+      end
+
+      it "refuses when the typed name does not match" do
+        delete admin_competition_path(competition), params: { confirmation: "something else" }
+
+        expect(Competition.exists?(competition.id)).to be(true)
+      end
+
+      it "deletes the competition and its races when the name is typed" do
+        delete admin_competition_path(competition), params: { confirmation: " #{competition.name} " }
+
+        expect(response).to redirect_to(admin_competitions_path)
+        expect(Competition.exists?(competition.id)).to be(false)
+        expect(Race.exists?(race.id)).to be(false)
+      end
+
+      it "deletes the participants, locations and incidents of its races" do
+        location = create(:race_location, race: race)
+        athlete = Athlete.create!(first_name: "Jane", last_name: "Doe", country: "SUI", gender: "F")
+        participation = RaceParticipation.create!(race: race, athlete: athlete, bib_number: 34)
+        incident = Incident.create!(race: race, race_location: location)
+        Report.create!(
+          client_uuid: SecureRandom.uuid,
+          race: race,
+          incident: incident,
+          user: admin_user,
+          race_location: location,
+          race_participation: participation,
+          bib_number: 34
+        )
+
+        delete admin_competition_path(competition), params: { confirmation: competition.name }
+
+        expect(response).to redirect_to(admin_competitions_path)
+        expect(flash[:notice]).to eq("Competition was successfully deleted.")
+        expect(Report.count).to eq(0)
+        expect(Incident.count).to eq(0)
+        expect(RaceParticipation.count).to eq(0)
+        expect(RaceLocation.count).to eq(0)
+      end
+    end
+  end
+end
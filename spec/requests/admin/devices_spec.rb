@@ -0,0 +1,65 @@
+# frozen_string_literal: true
+
+require "rails_helper"
+
+RSpec.describe "Admin devices", type: :request do
+  let(:admin_user) { create(:user, :admin) }
+
+  before do
+    sign_in(admin_user)
+  end
+
+  describe "device identification" do
+    it "registers a device from the X-Device-UUID header" do
+      uuid = SecureRandom.uuid
+
+      get admin_devices_path, headers: { "X-Device-UUID" => uuid }
+
+      expect(response).to have_http_status(:ok)
+      expect(Device.find_by(device_uuid: uuid)).to be_present
+    end
+
+    it "recognises a device by its device_uuid cookie" do
+      device = create(:device, :assigned)
+      cookies[:device_uuid] = device.device_uuid
+
+      get admin_devices_path
+
+      expect(response.body).to include("This device")
+      expect(Device.count).to eq(1)
+    end
+
+    it "ignores ids that are not UUIDs" do
+      expect {
+        get admin_devices_path, headers: { "X-Device-UUID" => "pi-start-line" }
+      }.not_to change(Device, :count)
+    end
+  end
+
+  describe "PATCH /admin/devices/:id" do
+    let(:device) { create(:device) }
+
+    it "assigns a name and race location" do
+      patch admin_device_path(device), params: { device: { name: " Pi 2 ", location_name: "Start Gate 2" } }
+
+      expect(response).to redirect_to(admin_devices_path)
+      expect(flash[:notice]).to eq("Pi 2 at Start Gate 2 saved.")
+      expect(device.reload).to have_attributes(name: "Pi 2", location_name: "Start Gate 2")
+    end
+
+    it "clears the assignment with blank values" do
+      device.update!(name: "Pi 2", location_name: "Start Gate 2")
+
+      patch admin_device_path(device), params: { device: { name: "", location_name: "" } }
+
+      expect(device.reload).to have_attributes(name: nil, location_name: nil)
+    end
+
+    it "rejects names that are too long" do
+      patch admin_device_path(device), params: { device: { name: "x" * 61, location_name: "" } }
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(device.reload.name).to be_nil
+    end
+  end
+end
@@ -0,0 +1,68 @@
+# frozen_string_literal: true
+
+require "rails_helper"
+
+RSpec.describe "Admin::RaceTypes::LocationTemplates reorder", type: :request do
+  let(:admin_user) { create(:user, :admin) }
+  let(:race_type) { RaceType.find_by(name: "Sprint") || create(:race_type_sprint) }
+
+  before do
+    sign_in admin_user
+  end
+
+  describe "POST /admin/race_types/:race_type_id/location_templates/reorder" do
+    let!(:start) { create(:race_type_location_template, race_type: race_type, name: "Start", display_order: 10) }
+    let!(:finish) { create(:race_type_location_template, race_type: race_type, name: "Finish", display_order: 20) }
+
+    context "from the sortable list (JSON)" do
+      it "saves the new display_order" do
+        post reorder_admin_race_type_location_templates_path(race_type),
+             params: { order: { finish.id => 10, start.id => 20 } },
+             as: :json
+
+        expect(response).to have_http_status(:no_content)
+        expect(finish.reload.display_order).to eq(10)
+        expect(start.reload.display_order).to eq(20)
+      end
+
+      it "rejects templates from another race type" do
+        other_type = RaceType.find_by(name: "Vertical") || create(:race_type_vertical)
+        other = create(:race_type_location_template, race_type: other_type, display_order: 30)
+
+        post reorder_admin_race_type_location_templates_path(race_type),
+             params: { order: { start.id => 20, other.id => 10 } },
+             as: :json
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(response.parsed_body["error"]).to include("Unknown templates")
+        expect(start.reload.display_order).to eq(10)
+        expect(other.reload.display_order).to eq(30)
+      end
+
+      it "rejects positions that are not whole numbers" do
+        post reorder_admin_race_type_location_templates_path(race_type),
+             params: { order: { start.id => "first" } },
+             as: :json
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(response.parsed_body["error"]).to include("whole numbers")
+        expect(start.reload.display_order).to eq(10)
+      end
+    end
+
+    it "still redirects for a regular form post" do
+      post reorder_admin_race_type_location_templates_path(race_type),
+           params: { order: { finish.id => 10, start.id => 20 } }
+
+      expect(response).to redirect_to(admin_race_type_location_templates_path(race_type))
+      expect(finish.reload.display_order).to eq(10)
+    end
+
+    it "redirects back with an alert for a regular form post without an order" do
+      post reorder_admin_race_type_location_templates_path(race_type)
+
+      expect(response).to redirect_to(admin_race_type_location_templates_path(race_type))
+      expect(flash[:alert]).to include("No order given")
+    end
+  end
+end
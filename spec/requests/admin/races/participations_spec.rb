@@ -0,0 +1,132 @@
+# frozen_string_literal: true
+
+require "rails_helper"
+
+RSpec.describe "Admin race participations", type: :request do
+  let(:admin_user) { create(:user, :admin) }
+  let(:race) { create(:race) }
+  let(:competition) { race.competition }
+  let(:athlete) { Athlete.create!(first_name: "Jane", last_name: "Doe", country: "SUI", gender: "F") }
+  let!(:participation) { RaceParticipation.create!(race: race, athlete: athlete, bib_number: 34) }
+  let(:path) { admin_competition_race_participation_path(competition, race, participation) }
+  let(:turbo_stream_headers) { { "Accept" => "text/vnd.turbo-stream.html" } }
+
+  describe "POST /admin/competitions/:competition_id/races/:race_id/participations/copy" do
+    let(:target_race) { create(:race, competition: competition) }
+    let(:copy_path) { copy_admin_competition_race_participations_path(competition, target_race) }
+    let(:client_uuid) { SecureRandom.uuid }
+
+    before do
+      sign_in(admin_user)
+    end
+
+    it "copies the participants of the source race" do
+      expect {
+        post copy_path, params: { source_race_id: race.id, client_uuid: client_uuid }
+      }.to change { RaceParticipation.where(race: target_race).count }.by(1)
+
+      expect(response).to redirect_to(admin_competition_race_path(competition, target_race))
+    end
+
+    it "treats a replayed client_uuid as already applied (outbox replay)" do
+      post copy_path, params: { source_race_id: race.id, client_uuid: client_uuid }
+      RaceParticipation.where(race: target_race).delete_all
+
+      expect {
+        post copy_path, params: { source_race_id: race.id, client_uuid: client_uuid }
+      }.not_to change(RaceParticipation, :count)
+
+      expect(flash[:notice]).to include("Copied 1 participant")
+    end
+  end
+
+  describe "PATCH /admin/competitions/:competition_id/races/:race_id/participations/:id" do
+    before do
+      sign_in(admin_user)
+    end
+
+    it "marks the participation DNS" do
+      patch path, params: { status: "dns" }
+
+      expect(response).to redirect_to(admin_competition_race_path(competition, race))
+      expect(participation.reload.status).to eq("dns")
+    end
+
+    it "sets it back to registered" do
+      participation.update!(status: "dnf")
+
+      patch path, params: { status: "registered" }
+
+      expect(participation.reload.status).to eq("registered")
+    end
+
+    it "replaces the desktop table row" do
+      patch path, params: { status: "dns" }, headers: turbo_stream_headers
+
+      expect(response.body).to include('action="replace" target="participation_')
+      expect(response.body).to include("<tr")
+      expect(response.body).to include('data-stream-field="status"')
+    end
+
+    it "replaces the swipeable row on touch displays" do
+      patch path, params: { status: "dns", touch: "1" }, headers: turbo_stream_headers
+
+      expect(response.body).to include('action="replace" target="participation_')
+      expect(response.body).to include('data-controller="swipe-actions"')
+      expect(response.body).not_to include("<tr")
+    end
+
+    it "rejects statuses that are not set by hand" do
+      patch path, params: { status: "dsq" }, headers: turbo_stream_headers
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(participation.reload.status).to eq("registered")
+    end
+  end
+
+  describe "DELETE /admin/competitions/:competition_id/races/:race_id/participations/:id" do
+    context "when signed in" do
+      before do
+        sign_in(admin_user)
+      end
+
+      it "removes the row and updates the participant count" do
+        expect {
+          delete path, headers: turbo_stream_headers
+        }.to change(RaceParticipation, :count).by(-1)
+
+        expect(response).to have_http_status(:ok)
+        expect(response.body).to include('action="remove" target="participation_')
+        expect(response.body).to include('target="participations_count"')
+      end
+
+      it "refuses with the reason when reports are attached" do
+        incident = Incident.create!(race: race)
+        Report.create!(
+          client_uuid: "0b6f1c2e-6d3a-4f7e-9a51-2c8e4d1f7a90",
+          race: race,
+          incident: incident,
+          user: admin_user,
+          race_participation: participation,
+          bib_number: 34
+        )
+
+        expect {
+          delete path, headers: turbo_stream_headers
+        }.not_to change(RaceParticipation, :count)
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(response.body).to eq("Participant has reports attached")
+      end
+    end
+
+    context "when signed out" do
+      it "answers 401 instead of redirecting to the sign-in page" do
+        delete path, headers: turbo_stream_headers
+
+        expect(response).to have_http_status(:unauthorized)
+        expect(RaceParticipation.count).to eq(1)
+      end
+    end
+  end
+end
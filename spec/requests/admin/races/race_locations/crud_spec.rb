@@ -417,6 +417,52 @@ RSpec.describe "Admin::Races::RaceLocations CRUD", type: :request do
     end
   end
 
+  describe "POST /admin/races/:race_id/race_locations/reorder" do
+    let!(:start) { create(:race_location, race: race, name: "Start", display_order: 10) }
+    let!(:finish) { create(:race_location, race: race, name: "Finish", display_order: 20) }
+
+    context "from the sortable list (JSON)" do
+      it "saves the new display_order" do
+        post reorder_admin_race_race_locations_path(race),
+             params: { order: { finish.id => 10, start.id => 20 } },
+             as: :json
+
+        expect(response).to have_http_status(:no_content)
+        expect(finish.reload.display_order).to eq(10)
+        expect(start.reload.display_order).to eq(20)
+      end
+
+      it "rejects locations from another race" do
+        other = create(:race_location, display_order: 30)
+
+        post reorder_admin_race_race_locations_path(race),
+             params: { order: { start.id => 20, other.id => 10 } },
+             as: :json
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(response.parsed_body["error"]).to include("Unknown locations")
+        expect(start.reload.display_order).to eq(10)
+      end
+
+      it "rejects positions that are not whole numbers" do
+        post reorder_admin_race_race_locations_path(race),
+             params: { order: { start.id => "first" } },
+             as: :json
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(start.reload.display_order).to eq(10)
+      end
+    end
+
+    it "still redirects for a regular form post" do
+      post reorder_admin_race_race_locations_path(race),
+           params: { order: { finish.id => 10, start.id => 20 } }
+
+      expect(response).to redirect_to(admin_race_race_locations_path(race))
+      expect(finish.reload.display_order).to eq(10)
+    end
+  end
+
   describe "authorization" do
     context "when user is not admin" do
       let(:regular_user) { create(:user) }
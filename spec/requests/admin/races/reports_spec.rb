@@ -0,0 +1,70 @@
+# frozen_string_literal: true
+
+require "rails_helper"
+
+RSpec.describe "POST /admin/races/:race_id/reports", type: :request do
+  let(:admin_user) { create(:user, :admin) }
+  let(:race) { create(:race) }
+  let(:location) { create(:race_location, race: race) }
+  let(:client_uuid) { "0b6f1c2e-6d3a-4f7e-9a51-2c8e4d1f7a90" }
+  let(:params) { { client_uuid: client_uuid, bib_number: 34, race_location_id: location.id } }
+
+  before do
+    sign_in(admin_user)
+  end
+
+  context "with valid parameters" do
+    it "creates a report with its own unofficial incident" do
+      expect {
+        post admin_race_reports_path(race), params: params, as: :json
+      }.to change(Report, :count).by(1).and change(Incident, :count).by(1)
+
+      expect(response).to have_http_status(:created)
+
+      report = Report.last
+      expect(report).to have_attributes(bib_number: 34, race_location_id: location.id, user_id: admin_user.id)
+      expect(report.incident).to have_attributes(status: "unofficial", race_id: race.id, reports_count: 1)
+    end
+
+    it "streams the new incident onto the race page" do
+      expect {
+        post admin_race_reports_path(race), params: params, as: :json
+      }.to have_broadcasted_to("race_#{race.id}_incidents").with(a_string_including('action="prepend" target="incidents"'))
+    end
+
+    it "alerts jury presidents and VAR operators about the new incident" do
+      expect {
+        post admin_race_reports_path(race), params: params, as: :json
+      }.to have_enqueued_job(IncidentAlertJob).with(kind_of(Integer))
+    end
+
+    it "is idempotent for the same client_uuid (outbox replay)" do
+      post admin_race_reports_path(race), params: params, as: :json
+
+      expect {
+        post admin_race_reports_path(race), params: params, as: :json
+      }.not_to change(Report, :count)
+
+      expect(response).to have_http_status(:created)
+      expect(response.parsed_body["client_uuid"]).to eq(client_uuid)
+    end
+  end
+
+  context "with invalid parameters" do
+    it "rejects a missing bib number" do
+      post admin_race_reports_path(race), params: params.except(:bib_number), as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(response.parsed_body["error"]).to be_present
+    end
+
+    it "rejects a location from another race" do
+      other_location = create(:race_location)
+
+      post admin_race_reports_path(race), params: params.merge(race_location_id: other_location.id), as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(Report.count).to eq(0)
+    end
+  end
+end
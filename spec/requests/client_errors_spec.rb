@@ -0,0 +1,76 @@
+# frozen_string_literal: true
+
+require "rails_helper"
+
+RSpec.describe "Client error reports", type: :request do
+  let(:report) do
+    {
+      message: "TypeError: Cannot read properties of undefined (reading 'focus')",
+      stack: "TypeError: Cannot read properties of undefined\n    at keyboard_controller.js:412:18",
+      controller: "keyboard",
+      url: "/admin/competitions/1/races/2",
+      device_id: "3f2b8c1e-0000-4000-8000-000000000001",
+      touch_mode: true,
+      count: 2
+    }
+  end
+
+  describe "POST /client_errors" do
+    it "forwards each report to AppSignal" do
+      sign_in(create(:user))
+      expect(Appsignal).to receive(:send_error).twice
+
+      post client_errors_path, params: { client_errors: [ report, report.merge(message: "Error: boom") ] }, as: :json
+
+      expect(response).to have_http_status(:accepted)
+      expect(response.parsed_body).to eq("received" => 2)
+    end
+
+    it "accepts reports from signed-out pages" do
+      allow(Appsignal).to receive(:send_error)
+
+      post client_errors_path, params: { client_errors: [ report.except(:device_id) ] }, as: :json
+
+      expect(response).to have_http_status(:accepted)
+    end
+
+    it "names the device the reports came from" do
+      device = create(:device, :assigned)
+      allow(Appsignal).to receive(:send_error)
+      allow(Rails.logger).to receive(:warn)
+
+      post client_errors_path,
+        params: { client_errors: [ report.merge(device_id: device.device_uuid) ] },
+        headers: { "X-Device-UUID" => device.device_uuid },
+        as: :json
+
+      expect(response).to have_http_status(:accepted)
+      expect(Rails.logger).to have_received(:warn).with(/device=Pi 2 at Start Gate 2/)
+    end
+
+    it "does not register unknown devices from signed-out pages" do
+      allow(Appsignal).to receive(:send_error)
+
+      expect {
+        post client_errors_path, params: { client_errors: [ report ] }, headers: { "X-Device-UUID" => SecureRandom.uuid }, as: :json
+      }.not_to change(Device, :count)
+
+      expect(response).to have_http_status(:accepted)
+    end
+
+    it "rejects an empty batch" do
+      expect(Appsignal).not_to receive(:send_error)
+
+      post client_errors_path, params: { client_errors: [] }, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+    end
+
+    it "rejects reports without a message" do
+      post client_errors_path, params: { client_errors: [ report.except(:message) ] }, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(response.parsed_body["errors"]).to have_key("client_errors")
+    end
+  end
+end
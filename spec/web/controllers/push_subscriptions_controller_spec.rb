@@ -0,0 +1,81 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe Web::Controllers::PushSubscriptionsController, type: :request do
+  let(:user) { create(:user, :jury_president) }
+  let(:endpoint) { 'https://fcm.googleapis.com/fcm/send/abc123' }
+  let(:subscription) do
+    { endpoint: endpoint, keys: { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA', auth: 'tBHItJI5svbpez7KI4CCXg' } }
+  end
+
+  describe 'POST /push_subscription' do
+    context 'when not authenticated' do
+      it 'does not store the subscription' do
+        expect {
+          post push_subscription_path, params: subscription, as: :json
+        }.not_to change(PushSubscription, :count)
+      end
+    end
+
+    context 'when authenticated' do
+      before { sign_in(user) }
+
+      it 'stores the subscription for the current user' do
+        expect {
+          post push_subscription_path, params: subscription, as: :json
+        }.to change(PushSubscription, :count).by(1)
+
+        expect(response).to have_http_status(:created)
+        expect(PushSubscription.last).to have_attributes(user_id: user.id, endpoint: endpoint, auth_key: 'tBHItJI5svbpez7KI4CCXg')
+      end
+
+      it 'updates an existing subscription for the same endpoint' do
+        post push_subscription_path, params: subscription, as: :json
+
+        expect {
+          post push_subscription_path, params: subscription.merge(keys: { p256dh: 'new-key', auth: 'new-auth' }), as: :json
+        }.not_to change(PushSubscription, :count)
+
+        expect(PushSubscription.last.p256dh_key).to eq('new-key')
+      end
+
+      it 'rejects a subscription without keys' do
+        post push_subscription_path, params: { endpoint: endpoint }, as: :json
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(response.parsed_body['errors']).to have_key('keys')
+      end
+
+      it 'rejects a non-https endpoint' do
+        post push_subscription_path, params: subscription.merge(endpoint: 'http://example.com/push'), as: :json
+
+        expect(response).to have_http_status(:unprocessable_entity)
+      end
+    end
+  end
+
+  describe 'DELETE /push_subscription' do
+    before do
+      sign_in(user)
+      post push_subscription_path, params: subscription, as: :json
+    end
+
+    it 'removes the subscription' do
+      expect {
+        delete push_subscription_path, params: { endpoint: endpoint }, as: :json
+      }.to change(PushSubscription, :count).by(-1)
+
+      expect(response).to have_http_status(:no_content)
+    end
+
+    it "does not remove another user's subscription" do
+      other = create(:user)
+      PushSubscription.create!(user: other, endpoint: 'https://push.example.com/other', p256dh_key: 'k', auth_key: 'a')
+
+      expect {
+        delete push_subscription_path, params: { endpoint: 'https://push.example.com/other' }, as: :json
+      }.not_to change(PushSubscription, :count)
+    end
+  end
+end
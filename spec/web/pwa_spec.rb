@@ -0,0 +1,45 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe 'PWA', type: :request do
+  describe 'GET /service-worker.js' do
+    it 'serves the service worker as javascript' do
+      get pwa_service_worker_path(format: :js)
+
+      expect(response).to have_http_status(:success)
+      expect(response.content_type).to include('javascript')
+    end
+
+    it 'precaches the digested app shell' do
+      get pwa_service_worker_path(format: :js)
+
+      expect(response.body).to include(ActionController::Base.helpers.asset_path('tailwind.css'))
+      expect(response.body).to include(ActionController::Base.helpers.asset_path('touch.css'))
+      expect(response.body).to include('simple-keyboard')
+      expect(response.body).to include('/offline.html')
+    end
+
+    it 'versions caches by asset digest' do
+      get pwa_service_worker_path(format: :js)
+
+      expect(response.body).to match(/const CACHE_VERSION = "\w+"/)
+    end
+
+    it 'drops cached pages when someone signs in or out' do
+      get pwa_service_worker_path(format: :js)
+
+      expect(response.body).to include('url.pathname === "/session"')
+      expect(response.body).to include('caches.delete(PAGES_CACHE)')
+    end
+  end
+
+  describe 'GET /offline.html' do
+    it 'serves the branded offline page' do
+      get '/offline.html'
+
+      expect(response).to have_http_status(:success)
+      expect(response.body).to include('ISMF Race Logger')
+    end
+  end
+end